@@ -0,0 +1,742 @@
+const Group = require("../models/Group")
+const Message = require("../models/Message")
+const User = require("../models/User")
+const ConversationSetting = require("../models/ConversationSetting")
+const mongoose = require("mongoose")
+const { parsePageQuery, paginateMessages } = require("../utils/messagePagination")
+const { markGroupRead } = require("../utils/messageStatus")
+const { DISAPPEARING_TIMERS, describeTimerChange } = require("../utils/disappearingMessages")
+const { parseSettingsUpdate, updateSettings, formatSettings, getSettingsMap } = require("../utils/conversationSettings")
+const { sendChatMessage } = require("../services/messageService")
+const { resolveMedia } = require("../services/mediaService")
+const { formatMessagesFor } = require("../services/mediaAccessService")
+const { formatLastMessage } = require("../services/conversationService")
+const { endLiveLocationSessions } = require("../services/liveLocationService")
+
+// Normalize a list of user IDs into unique, valid ID strings
+const normalizeMemberIds = (ids) => {
+  if (!Array.isArray(ids)) return []
+  return [...new Set(ids.map((id) => id && id.toString()))].filter((id) => mongoose.Types.ObjectId.isValid(id))
+}
+
+// Group avatars are one of the user's image uploads, null removes the avatar.
+// Returns { avatar } with the group's avatar fields, or { error }
+const resolveGroupAvatar = async (avatarMediaId, userId) => {
+  if (avatarMediaId === null) {
+    return { avatar: { avatar: "", avatarMedia: null, avatarPreview: null } }
+  }
+
+  const { media, error } = await resolveMedia(avatarMediaId, userId, ["image"])
+  if (error) return { error }
+
+  return { avatar: { avatar: media.url, avatarMedia: media._id, avatarPreview: media.preview } }
+}
+
+/**
+ * Keep the members' sockets in the group room in step with the membership, and
+ * tell the group and the affected users with "groupMembersUpdate":
+ * { group, added, removed, by } where added and removed are user IDs.
+ */
+const updateGroupRoom = (io, groupId, { added = [], removed = [], by }) => {
+  if (!io) return
+
+  const room = groupId.toString()
+  added.forEach((memberId) => io.in(memberId.toString()).socketsJoin(room))
+
+  // Removed users get the update too, before their sockets leave the room
+  io.to([room, ...removed.map((memberId) => memberId.toString())]).emit("groupMembersUpdate", {
+    group: room,
+    added,
+    removed,
+    by,
+  })
+  removed.forEach((memberId) => io.in(memberId.toString()).socketsLeave(room))
+}
+
+// Load a group and populate its members for responses
+const findPopulatedGroup = (groupId) => {
+  return Group.findById(groupId)
+    .select("-unreadCounts")
+    .populate("members", "name avatar avatarMedia avatarPreview status lastSeen")
+    .populate("admins", "name avatar avatarMedia avatarPreview")
+    .populate("createdBy", "name avatar avatarMedia avatarPreview")
+    .populate(
+      "pinnedMessages.message",
+      "text messageType media mediaUrl mediaPreview oneTimeView sender timestamp isDeleted",
+    )
+}
+
+// @desc    Create a new group
+// @route   POST /api/groups
+// @access  Private
+const createGroup = async (req, res) => {
+  try {
+    const { name, avatarMediaId, description, members } = req.body
+    const userId = req.user.id
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Group name is required",
+      })
+    }
+
+    let avatar = null
+    if (avatarMediaId) {
+      const result = await resolveGroupAvatar(avatarMediaId, userId)
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        })
+      }
+      avatar = result.avatar
+    }
+
+    const memberIds = normalizeMemberIds(members).filter((id) => id !== userId)
+
+    // Only add users that exist and have not blocked the creator
+    const users = await User.find({
+      _id: { $in: memberIds },
+      blockedUsers: { $ne: userId },
+    }).select("_id")
+
+    const newGroup = new Group({
+      name,
+      ...avatar,
+      description: description || "",
+      createdBy: userId,
+      members: [userId, ...users.map((user) => user._id)],
+      admins: [userId],
+    })
+
+    const savedGroup = await newGroup.save()
+    updateGroupRoom(req.app.get("io"), savedGroup._id, { added: savedGroup.members, by: userId })
+
+    const populatedGroup = await findPopulatedGroup(savedGroup._id)
+
+    res.status(201).json({
+      success: true,
+      group: populatedGroup,
+    })
+  } catch (error) {
+    console.error("Create group error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error creating group",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get groups the current user belongs to
+// @route   GET /api/groups
+// @access  Private
+const getGroups = async (req, res) => {
+  try {
+    const groups = await Group.find({ members: req.user.id })
+      .populate("members", "name avatar avatarMedia avatarPreview status")
+      .populate("lastMessage", "text messageType timestamp isRead status sender isDeleted deletedFor")
+      .sort({ lastMessageAt: -1, updatedAt: -1 })
+
+    // Add the summary for this user and their own settings (mute, archive, unread, wallpaper)
+    const settingsMap = await getSettingsMap(req.user.id)
+    const groupsWithSettings = groups.map((group) => {
+      const { unreadCounts, ...summary } = group.toJSON()
+      return {
+        ...summary,
+        lastMessage: formatLastMessage(group.lastMessage, req.user.id),
+        unreadCount: group.unreadCounts.get(req.user.id) || 0,
+        ...formatSettings(settingsMap.get(group._id.toString()), req.user),
+      }
+    })
+
+    res.status(200).json({
+      success: true,
+      groups: groupsWithSettings.filter((group) => !group.archived),
+      archived: groupsWithSettings.filter((group) => group.archived),
+    })
+  } catch (error) {
+    console.error("Get groups error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error getting groups",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get a single group
+// @route   GET /api/groups/:groupId
+// @access  Private
+const getGroup = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid group ID",
+      })
+    }
+
+    const group = await Group.findById(req.params.groupId)
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      })
+    }
+
+    if (!group.isMember(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not a member of this group",
+      })
+    }
+
+    const populatedGroup = await findPopulatedGroup(group._id)
+    const setting = await ConversationSetting.findOne(ConversationSetting.filterFor(req.user.id, { group: group._id }))
+
+    res.status(200).json({
+      success: true,
+      group: populatedGroup,
+      settings: formatSettings(setting, req.user),
+    })
+  } catch (error) {
+    console.error("Get group error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error getting group",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Update group name, avatar or description
+// @route   PUT /api/groups/:groupId
+// @access  Private (admins only)
+const updateGroup = async (req, res) => {
+  try {
+    const { name, avatarMediaId, description } = req.body
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid group ID",
+      })
+    }
+
+    const group = await Group.findById(req.params.groupId)
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      })
+    }
+
+    if (!group.isAdmin(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only group admins can update the group",
+      })
+    }
+
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Group name cannot be empty",
+        })
+      }
+      group.name = name
+    }
+    if (avatarMediaId !== undefined) {
+      const { avatar, error } = await resolveGroupAvatar(avatarMediaId, req.user.id)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        })
+      }
+      group.set(avatar)
+    }
+    if (description !== undefined) group.description = description
+
+    await group.save()
+    const populatedGroup = await findPopulatedGroup(group._id)
+
+    res.status(200).json({
+      success: true,
+      message: "Group updated successfully",
+      group: populatedGroup,
+    })
+  } catch (error) {
+    console.error("Update group error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error updating group",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Add members to a group
+// @route   POST /api/groups/:groupId/members
+// @access  Private (admins only)
+const addMembers = async (req, res) => {
+  try {
+    const { members } = req.body
+    const userId = req.user.id
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid group ID",
+      })
+    }
+
+    const memberIds = normalizeMemberIds(members)
+
+    if (memberIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one member ID is required",
+      })
+    }
+
+    const group = await Group.findById(req.params.groupId)
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      })
+    }
+
+    if (!group.isAdmin(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only group admins can add members",
+      })
+    }
+
+    const users = await User.find({
+      _id: { $in: memberIds.filter((id) => !group.isMember(id)) },
+      blockedUsers: { $ne: userId },
+    }).select("_id")
+
+    users.forEach((user) => group.members.push(user._id))
+    await group.save()
+    updateGroupRoom(req.app.get("io"), group._id, { added: users.map((user) => user._id), by: userId })
+
+    const populatedGroup = await findPopulatedGroup(group._id)
+
+    res.status(200).json({
+      success: true,
+      message: `${users.length} member(s) added`,
+      added: users.map((user) => user._id),
+      group: populatedGroup,
+    })
+  } catch (error) {
+    console.error("Add members error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error adding members",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Remove a member from a group
+// @route   DELETE /api/groups/:groupId/members/:memberId
+// @access  Private (admins only)
+const removeMember = async (req, res) => {
+  try {
+    const { groupId, memberId } = req.params
+    const userId = req.user.id
+
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid group or member ID",
+      })
+    }
+
+    const group = await Group.findById(groupId)
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      })
+    }
+
+    if (!group.isAdmin(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only group admins can remove members",
+      })
+    }
+
+    if (memberId === userId) {
+      return res.status(400).json({
+        success: false,
+        message: "Use the leave endpoint to leave a group",
+      })
+    }
+
+    if (!group.isMember(memberId)) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this group",
+      })
+    }
+
+    group.members = group.members.filter((id) => id.toString() !== memberId)
+    group.admins = group.admins.filter((id) => id.toString() !== memberId)
+    group.unreadCounts.delete(memberId)
+    await group.save()
+    updateGroupRoom(req.app.get("io"), group._id, { removed: [memberId], by: userId })
+
+    // Former members can't keep sharing their location with the group
+    await endLiveLocationSessions(req.app.get("io"), { sharer: memberId, group: group._id })
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed successfully",
+    })
+  } catch (error) {
+    console.error("Remove member error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error removing member",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Promote a member to admin or demote an admin to member
+// @route   PUT /api/groups/:groupId/members/:memberId
+// @access  Private (admins only)
+const updateMemberRole = async (req, res) => {
+  try {
+    const { groupId, memberId } = req.params
+    const { role } = req.body
+    const userId = req.user.id
+
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid group or member ID",
+      })
+    }
+
+    if (!["admin", "member"].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be either admin or member",
+      })
+    }
+
+    const group = await Group.findById(groupId)
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      })
+    }
+
+    if (!group.isAdmin(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only group admins can change member roles",
+      })
+    }
+
+    if (!group.isMember(memberId)) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this group",
+      })
+    }
+
+    if (role === "admin" && !group.isAdmin(memberId)) {
+      group.admins.push(memberId)
+    } else if (role === "member" && group.isAdmin(memberId)) {
+      // A group must always keep at least one admin
+      if (group.admins.length === 1) {
+        return res.status(400).json({
+          success: false,
+          message: "A group must have at least one admin",
+        })
+      }
+      group.admins = group.admins.filter((id) => id.toString() !== memberId)
+    }
+
+    await group.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Member role updated",
+      admins: group.admins,
+    })
+  } catch (error) {
+    console.error("Update member role error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error updating member role",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Change the disappearing messages setting for a group
+// @route   PUT /api/groups/:groupId/disappearing
+// @access  Private
+const setGroupDisappearingTimer = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { timer } = req.body
+
+    if (!Object.keys(DISAPPEARING_TIMERS).includes(timer)) {
+      return res.status(400).json({
+        success: false,
+        message: "Timer must be one of off, 24h, 7d or 90d",
+      })
+    }
+
+    const group = await Group.findById(req.params.groupId)
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      })
+    }
+
+    if (!group.isMember(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not a member of this group",
+      })
+    }
+
+    if (group.disappearingTimer !== timer) {
+      group.disappearingTimer = timer
+      await group.save()
+
+      const io = req.app.get("io")
+
+      // Leave a notice in the chat for every member
+      await sendChatMessage(io, {
+        sender: userId,
+        group: group._id,
+        text: describeTimerChange(req.user.name, timer),
+        messageType: "system",
+      })
+
+      io.to(group._id.toString()).emit("disappearingTimerUpdate", {
+        group: group._id,
+        timer,
+        updatedBy: userId,
+        updatedAt: new Date(),
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Disappearing messages setting updated",
+      timer,
+    })
+  } catch (error) {
+    console.error("Set group disappearing timer error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error updating disappearing setting",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Update the current user's settings for a group
+// @route   PUT /api/groups/:groupId/settings
+// @access  Private
+const updateGroupSettings = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.groupId)
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      })
+    }
+
+    if (!group.isMember(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not a member of this group",
+      })
+    }
+
+    const { update, error } = parseSettingsUpdate(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      })
+    }
+
+    const setting = await updateSettings(req.user.id, { group: group._id }, update)
+
+    res.status(200).json({
+      success: true,
+      settings: formatSettings(setting, req.user),
+    })
+  } catch (error) {
+    console.error("Update group settings error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error updating group settings",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Leave a group
+// @route   POST /api/groups/:groupId/leave
+// @access  Private
+const leaveGroup = async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    const group = await Group.findById(req.params.groupId)
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      })
+    }
+
+    if (!group.isMember(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "You are not a member of this group",
+      })
+    }
+
+    group.members = group.members.filter((id) => id.toString() !== userId)
+    group.admins = group.admins.filter((id) => id.toString() !== userId)
+    group.unreadCounts.delete(userId)
+    await endLiveLocationSessions(req.app.get("io"), { sharer: userId, group: group._id })
+
+    // Delete the group once the last member leaves
+    if (group.members.length === 0) {
+      await Group.deleteOne({ _id: group._id })
+      await Message.deleteMany({ group: group._id })
+      updateGroupRoom(req.app.get("io"), group._id, { removed: [userId], by: userId })
+
+      return res.status(200).json({
+        success: true,
+        message: "Left group. The group was deleted because it has no members left",
+      })
+    }
+
+    // Promote the longest-standing member if the last admin leaves
+    if (group.admins.length === 0) {
+      group.admins.push(group.members[0])
+    }
+
+    await group.save()
+    updateGroupRoom(req.app.get("io"), group._id, { removed: [userId], by: userId })
+
+    res.status(200).json({
+      success: true,
+      message: "Left group successfully",
+    })
+  } catch (error) {
+    console.error("Leave group error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error leaving group",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get messages in a group
+// @route   GET /api/groups/:groupId/messages?before=&after=&around=&limit=
+// @access  Private
+const getGroupMessages = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const groupId = req.params.groupId
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ message: "Invalid group ID" })
+    }
+
+    const group = await Group.findById(groupId)
+
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" })
+    }
+
+    if (!group.isMember(userId)) {
+      return res.status(403).json({ message: "You are not a member of this group" })
+    }
+
+    const conversationFilter = {
+      group: groupId,
+      deletedFor: { $ne: userId }, // Don't show messages deleted by current user
+    }
+
+    const pageQuery = await parsePageQuery(conversationFilter, req.query)
+    if (pageQuery.error) {
+      return res.status(400).json({ message: pageQuery.error })
+    }
+
+    const result = await paginateMessages(conversationFilter, {
+      ...pageQuery,
+      populate: (query) =>
+        query.populate("sender", "name avatar avatarMedia avatarPreview").populate({
+          path: "replyTo",
+          populate: {
+            path: "sender",
+            select: "name avatar avatarMedia avatarPreview",
+          },
+        }),
+    })
+
+    // Opening the conversation clears a manual unread mark
+    await ConversationSetting.updateOne(
+      { ...ConversationSetting.filterFor(userId, { group: groupId }), markedUnread: true },
+      { markedUnread: false },
+    )
+
+    // Mark the returned messages from other members as read by current user and notify their senders
+    await markGroupRead(req.app.get("io"), { _id: { $in: result.messages.map((msg) => msg._id) } }, userId)
+
+    res.status(200).json({ ...result, messages: await formatMessagesFor(result.messages, userId) })
+  } catch (error) {
+    console.error("Get group messages error:", error)
+    res.status(500).json({ message: "Server error getting group messages", error: error.message })
+  }
+}
+
+module.exports = {
+  createGroup,
+  getGroups,
+  getGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  updateMemberRole,
+  setGroupDisappearingTimer,
+  updateGroupSettings,
+  leaveGroup,
+  getGroupMessages,
+}
@@ -0,0 +1,180 @@
+const LiveLocationSession = require("../models/LiveLocationSession")
+const Group = require("../models/Group")
+const User = require("../models/User")
+const mongoose = require("mongoose")
+const { sendChatMessage } = require("../services/messageService")
+const {
+  buildSessionPayload,
+  endLiveLocationSession,
+  endLiveLocationSessions,
+} = require("../services/liveLocationService")
+
+const MINUTE = 60 * 1000
+
+// Supported sharing durations
+const LIVE_LOCATION_DURATIONS = {
+  "15m": 15 * MINUTE,
+  "1h": 60 * MINUTE,
+  "8h": 8 * 60 * MINUTE,
+}
+
+// @desc    Start sharing live location with a chat
+// @route   POST /api/live-locations
+// @access  Private
+const startLiveLocation = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { receiver, group, duration, longitude, latitude } = req.body
+
+    if (!receiver && !group) {
+      return res.status(400).json({
+        success: false,
+        message: "Receiver or group is required",
+      })
+    }
+
+    if (!LIVE_LOCATION_DURATIONS[duration]) {
+      return res.status(400).json({
+        success: false,
+        message: "Duration must be one of 15m, 1h or 8h",
+      })
+    }
+
+    if (typeof longitude !== "number" || typeof latitude !== "number") {
+      return res.status(400).json({
+        success: false,
+        message: "Longitude and latitude are required",
+      })
+    }
+
+    if (receiver && !(mongoose.Types.ObjectId.isValid(receiver) && (await User.exists({ _id: receiver })))) {
+      return res.status(404).json({
+        success: false,
+        message: "Receiver not found",
+      })
+    }
+
+    const io = req.app.get("io")
+    const session = new LiveLocationSession({
+      sharer: userId,
+      receiver: group ? null : receiver,
+      group: group || null,
+      duration,
+      lastLocation: { type: "Point", coordinates: [longitude, latitude] },
+      lastUpdatedAt: new Date(),
+      expiresAt: new Date(Date.now() + LIVE_LOCATION_DURATIONS[duration]),
+    })
+
+    // Announce the share in the chat, going through the regular block and membership checks
+    const { message, error } = await sendChatMessage(io, {
+      sender: userId,
+      receiver: group ? null : receiver,
+      group: group || null,
+      text: "Live location",
+      messageType: "location",
+      liveLocation: session._id,
+    })
+
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error,
+      })
+    }
+
+    session.message = message._id
+    await session.save()
+
+    // Only one live session per chat, the previous one is replaced once the new share is announced
+    const chatFilter = group ? { group } : { receiver }
+    await endLiveLocationSessions(io, { sharer: userId, ...chatFilter, _id: { $ne: session._id } })
+
+    res.status(201).json({
+      success: true,
+      session,
+    })
+  } catch (error) {
+    console.error("Start live location error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error starting live location",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Stop sharing live location
+// @route   POST /api/live-locations/:sessionId/stop
+// @access  Private
+const stopLiveLocation = async (req, res) => {
+  try {
+    const session = await LiveLocationSession.findById(req.params.sessionId)
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Live location session not found",
+      })
+    }
+
+    if (session.sharer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to stop this live location session",
+      })
+    }
+
+    await endLiveLocationSession(req.app.get("io"), session)
+
+    res.status(200).json({
+      success: true,
+      message: "Live location sharing stopped",
+    })
+  } catch (error) {
+    console.error("Stop live location error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error stopping live location",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get active live location sessions shared by or with the current user
+// @route   GET /api/live-locations
+// @access  Private
+const getActiveLiveLocations = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const groups = await Group.find({ members: userId }).select("_id")
+
+    const sessions = await LiveLocationSession.find({
+      endedAt: null,
+      expiresAt: { $gt: new Date() },
+      $or: [{ sharer: userId }, { receiver: userId }, { group: { $in: groups.map((group) => group._id) } }],
+    })
+      .populate("sharer", "name avatar avatarMedia avatarPreview")
+      .sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      sharing: sessions.filter((session) => session.sharer._id.toString() === userId),
+      sharedWithMe: sessions
+        .filter((session) => session.sharer._id.toString() !== userId)
+        .map((session) => ({ ...buildSessionPayload(session), sharer: session.sharer })),
+    })
+  } catch (error) {
+    console.error("Get live locations error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error getting live locations",
+      error: error.message,
+    })
+  }
+}
+
+module.exports = {
+  startLiveLocation,
+  stopLiveLocation,
+  getActiveLiveLocations,
+}
@@ -0,0 +1,201 @@
+const mongoose = require("mongoose")
+const Media = require("../models/Media")
+const { detectFileType } = require("../utils/fileType")
+const { readUpload } = require("../utils/fileStorage")
+const { MEDIA_MAX_BYTES, storeMedia } = require("../services/mediaService")
+const { signMedia, verifyMediaSignature } = require("../utils/mediaUrls")
+const { canAccessMedia } = require("../services/mediaAccessService")
+
+// Parse a single "bytes=start-end" Range header against a file size, null when absent or unsatisfiable
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || "")
+  if (!match || (!match[1] && !match[2])) return null
+
+  // "bytes=-500" is the last 500 bytes
+  const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2]))
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1
+  return start <= end ? { start, end } : null
+}
+
+// @desc    Upload an image, video, audio file or document (multipart: "file")
+// @route   POST /api/media
+// @access  Private
+const createMedia = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "File is required",
+      })
+    }
+
+    // The type comes from the file contents, the client's name and content type aren't trusted
+    const type = detectFileType(req.file.buffer)
+    if (!type) {
+      return res.status(415).json({
+        success: false,
+        message: "Unsupported file type",
+      })
+    }
+
+    const maxBytes = MEDIA_MAX_BYTES[type.kind]
+    if (req.file.size > maxBytes) {
+      return res.status(413).json({
+        success: false,
+        message: `File is too large, ${type.kind} uploads can be at most ${maxBytes} bytes`,
+      })
+    }
+
+    const media = await storeMedia(req.user._id, req.file.buffer, type, req.file.originalname)
+
+    res.status(201).json({
+      success: true,
+      media,
+    })
+  } catch (error) {
+    console.error("Upload media error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error uploading media",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get one of your uploads
+// @route   GET /api/media/:mediaId
+// @access  Private
+const getMedia = async (req, res) => {
+  try {
+    const { mediaId } = req.params
+
+    const media = mongoose.Types.ObjectId.isValid(mediaId) ? await Media.findById(mediaId) : null
+    if (!media || media.owner.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: "Media not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      media,
+    })
+  } catch (error) {
+    console.error("Get media error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error getting media",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get short-lived signed URLs for a media file and its image variants
+// @route   GET /api/media/:mediaId/url
+// @access  Private
+const getMediaUrl = async (req, res) => {
+  try {
+    const { mediaId } = req.params
+
+    // Media the user can't see is reported as missing, so IDs can't be probed
+    const media = mongoose.Types.ObjectId.isValid(mediaId) ? await Media.findById(mediaId) : null
+    if (!media || !(await canAccessMedia(media, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        message: "Media not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      ...signMedia(media),
+    })
+  } catch (error) {
+    console.error("Get media URL error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error getting media URL",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Download a media file through a signed URL (supports Range requests)
+// @route   GET /api/media/:mediaId/file?expires=&signature=&size=
+// @access  Public (signed)
+const getMediaFile = async (req, res) => {
+  try {
+    const { mediaId } = req.params
+    const { size, expires, signature } = req.query
+
+    if (!verifyMediaSignature(mediaId, size, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: "Invalid or expired media URL",
+      })
+    }
+
+    const media = await Media.findById(mediaId)
+    const variant = size && media && media.preview && media.preview.variants.find((item) => String(item.size) === size)
+    if (!media || (size && !variant)) {
+      return res.status(404).json({
+        success: false,
+        message: "Media not found",
+      })
+    }
+
+    // Only whole originals have a known size to serve ranges of, variants are small images
+    const range = variant ? null : parseRange(req.headers.range, media.size)
+    if (req.headers.range && !variant && !range) {
+      res.set("Content-Range", `bytes */${media.size}`)
+      return res.status(416).end()
+    }
+
+    const stream = await readUpload(variant ? variant.url : media.url, range)
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: "Media not found",
+      })
+    }
+
+    if (media.kind === "document" && !variant) {
+      res.attachment(media.originalName || `document.${media.extension}`)
+    }
+    res.set({
+      "Content-Type": variant ? "image/webp" : media.mimeType,
+      "Cache-Control": `private, max-age=${Math.max(0, Number(expires) - Math.floor(Date.now() / 1000))}`,
+      "X-Content-Type-Options": "nosniff",
+    })
+
+    if (range) {
+      res.status(206).set({
+        "Content-Range": `bytes ${range.start}-${range.end}/${media.size}`,
+        "Content-Length": range.end - range.start + 1,
+      })
+    } else if (!variant) {
+      res.set({ "Accept-Ranges": "bytes", "Content-Length": media.size })
+    }
+
+    stream.on("error", (error) => {
+      console.error("Stream media error:", error)
+      res.destroy(error)
+    })
+    stream.pipe(res)
+  } catch (error) {
+    console.error("Get media file error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error getting media file",
+      error: error.message,
+    })
+  }
+}
+
+module.exports = {
+  createMedia,
+  getMedia,
+  getMediaUrl,
+  getMediaFile,
+}
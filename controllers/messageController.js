@@ -1,148 +1,1252 @@
 const Message = require("../models/Message")
 const User = require("../models/User")
+const Group = require("../models/Group")
+const ScheduledMessage = require("../models/ScheduledMessage")
+const Conversation = require("../models/Conversation")
+const StarredMessage = require("../models/StarredMessage")
+const ConversationSetting = require("../models/ConversationSetting")
+const Report = require("../models/Report")
 const mongoose = require("mongoose")
+const { parseLimit, parsePageQuery, paginateMessages } = require("../utils/messagePagination")
+const { extractSearchTerms, buildSnippet } = require("../utils/textSnippet")
+const { markDelivered, markRead } = require("../utils/messageStatus")
+const { DISAPPEARING_TIMERS, describeTimerChange } = require("../utils/disappearingMessages")
+const { buildPoll, isPollClosed, summarizePoll } = require("../utils/polls")
+const { parseSettingsUpdate, updateSettings, formatSettings, getSettingsMap } = require("../utils/conversationSettings")
+const { analyzeAudio } = require("../utils/audioMetadata")
+const { LINK_PATTERN, extractLinks } = require("../utils/links")
+const { storeMedia, removeMedia, resolveMessageAttachment } = require("../services/mediaService")
+const { signMedia, formatAvatar } = require("../utils/mediaUrls")
+const { applyBlock } = require("../services/userService")
+const { formatMessagesFor } = require("../services/mediaAccessService")
+const {
+  isValidClientMessageId,
+  findPopulatedMessage,
+  findSentMessage,
+  sendChatMessage,
+  canAccessMessage,
+  getConversationHolder,
+  editChatMessage,
+  deleteChatMessage,
+  toggleReaction,
+  readChatMessage,
+  markVoiceNotePlayed,
+  emitToConversation,
+} = require("../services/messageService")
+const {
+  isMessageRequest,
+  hasChatHistory,
+  refreshUnreadCount,
+  formatLastMessage,
+  encodeChatCursor,
+  decodeChatCursor,
+} = require("../services/conversationService")
+
+// Maximum number of chats a message can be forwarded to at once
+const MAX_FORWARD_TARGETS = 10
+
+// Maximum number of pinned messages per conversation
+const MAX_PINNED_MESSAGES = 3
+
+// Default longest voice note, overridable with VOICE_NOTE_MAX_SECONDS
+const DEFAULT_VOICE_NOTE_MAX_SECONDS = 15 * 60
+
+const VOICE_NOTE_MAX_SECONDS = Number.parseInt(process.env.VOICE_NOTE_MAX_SECONDS) || DEFAULT_VOICE_NOTE_MAX_SECONDS
+
+// Categories of the shared media gallery and the messages each one lists
+const GALLERY_CATEGORIES = {
+  media: { messageType: { $in: ["image", "video"] } },
+  docs: { messageType: "document" },
+  links: { messageType: { $nin: ["poll", "system"] }, text: LINK_PATTERN },
+  audio: { messageType: "audio" },
+}
 
 // @desc    Send a new message
 // @route   POST /api/messages
 // @access  Private
-const sendMessage = async (req, res) => {
+const sendMessage = async (req, res) => {
+  try {
+    const { receiver, group, text, messageType, mediaId, replyTo, oneTimeView, scheduledAt, clientMessageId } = req.body
+    const sender = req.user.id
+
+    if (!receiver && !group) {
+      return res.status(400).json({ message: "Receiver or group is required" })
+    }
+
+    if (!isValidClientMessageId(clientMessageId)) {
+      return res.status(400).json({ message: "Invalid clientMessageId" })
+    }
+
+    // System messages are only created by the server
+    if (messageType === "system") {
+      return res.status(400).json({ message: "Invalid message type" })
+    }
+
+    if (messageType === "poll") {
+      const result = buildPoll(req.body.poll)
+      if (result.error) {
+        return res.status(400).json({ message: result.error })
+      }
+      if (scheduledAt) {
+        return res.status(400).json({ message: "Polls cannot be scheduled" })
+      }
+    }
+
+    let scheduledDate = null
+    if (scheduledAt) {
+      scheduledDate = new Date(scheduledAt)
+      if (Number.isNaN(scheduledDate.getTime()) || scheduledDate <= new Date()) {
+        return res.status(400).json({ message: "scheduledAt must be a valid date in the future" })
+      }
+    }
+
+    if (group) {
+      // Check if group exists and sender is a member
+      const targetGroup = await Group.findById(group)
+      if (!targetGroup) {
+        return res.status(404).json({ message: "Group not found" })
+      }
+
+      if (!targetGroup.isMember(sender)) {
+        return res.status(403).json({ message: "You are not a member of this group" })
+      }
+    } else {
+      // Check if receiver exists
+      const receiverUser = await User.findById(receiver)
+      if (!receiverUser) {
+        return res.status(404).json({ message: "Receiver not found" })
+      }
+
+      // Check if sender is blocked by receiver
+      if (receiverUser.blockedUsers.includes(sender)) {
+        return res.status(403).json({ message: "You cannot send messages to this user" })
+      }
+    }
+
+    // Store scheduled messages for the dispatcher, which re-checks blocks at send time
+    if (scheduledDate) {
+      if (!text) {
+        return res.status(400).json({ message: "Text is required" })
+      }
+
+      // Answer retried requests with the message already scheduled
+      const existingScheduled = clientMessageId && (await ScheduledMessage.findOne({ sender, clientMessageId }))
+      if (existingScheduled) {
+        return res.status(200).json({ message: "Message scheduled", scheduled: existingScheduled, duplicate: true })
+      }
+
+      // Check the attachment now, the dispatcher sends it as is
+      const { attachment, error: attachmentError } = await resolveMessageAttachment(mediaId, sender, messageType)
+      if (attachmentError) {
+        return res.status(400).json({ message: attachmentError })
+      }
+
+      const scheduledMessage = await ScheduledMessage.create({
+        sender,
+        receiver: group ? null : receiver,
+        group: group || null,
+        clientMessageId: clientMessageId || undefined,
+        text,
+        ...attachment,
+        replyTo: replyTo || null,
+        oneTimeView: oneTimeView || false,
+        scheduledAt: scheduledDate,
+      })
+
+      return res.status(201).json({ message: "Message scheduled", scheduled: scheduledMessage })
+    }
+
+    // Save and emit through the same path as socket sends
+    const { message, duplicate, error } = await sendChatMessage(req.app.get("io"), {
+      sender,
+      receiver,
+      group,
+      text,
+      messageType,
+      mediaId,
+      poll: req.body.poll,
+      replyTo,
+      oneTimeView,
+      clientMessageId,
+    })
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    // Retried sends get the message saved the first time
+    res.status(duplicate ? 200 : 201).json(message)
+  } catch (error) {
+    console.error("Send message error:", error)
+    res.status(500).json({ message: "Server error sending message", error: error.message })
+  }
+}
+
+// @desc    Send a voice note (multipart: "audio" file plus receiver or group, replyTo, clientMessageId)
+// @route   POST /api/messages/voice
+// @access  Private
+const sendVoiceNote = async (req, res) => {
+  try {
+    const { receiver, group, replyTo, clientMessageId } = req.body
+    const sender = req.user.id
+
+    if (!req.file) {
+      return res.status(400).json({ message: "Audio file is required" })
+    }
+
+    if (!receiver && !group) {
+      return res.status(400).json({ message: "Receiver or group is required" })
+    }
+
+    if (!isValidClientMessageId(clientMessageId)) {
+      return res.status(400).json({ message: "Invalid clientMessageId" })
+    }
+
+    // Duration and waveform are always computed here, never taken from the client
+    const audio = analyzeAudio(req.file.buffer)
+    if (audio.error) {
+      return res.status(415).json({ message: audio.error })
+    }
+
+    if (audio.duration > VOICE_NOTE_MAX_SECONDS) {
+      return res.status(413).json({ message: `Voice notes can be at most ${VOICE_NOTE_MAX_SECONDS} seconds long` })
+    }
+
+    if (audio.duration <= 0) {
+      return res.status(400).json({ message: "Voice note has no audio" })
+    }
+
+    // Answer retried uploads without storing the audio again
+    const existingMessage = await findSentMessage(sender, clientMessageId)
+    if (existingMessage) {
+      return res.status(200).json(await findPopulatedMessage(existingMessage._id))
+    }
+
+    const media = await storeMedia(
+      sender,
+      req.file.buffer,
+      { kind: "audio", mimeType: audio.mimeType, extension: audio.extension },
+      req.file.originalname,
+    )
+
+    const { message, duplicate, error } = await sendChatMessage(req.app.get("io"), {
+      sender,
+      receiver,
+      group,
+      text: "Voice message",
+      messageType: "audio",
+      media: media._id,
+      mediaUrl: media.url,
+      voiceNote: { duration: audio.duration, waveform: audio.waveform },
+      replyTo,
+      clientMessageId,
+    })
+
+    // Don't keep audio for messages that weren't saved
+    if (error || duplicate) {
+      await removeMedia(media)
+    }
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    res.status(duplicate ? 200 : 201).json(message)
+  } catch (error) {
+    console.error("Send voice note error:", error)
+    res.status(500).json({ message: "Server error sending voice note", error: error.message })
+  }
+}
+
+// @desc    Get pending scheduled messages
+// @route   GET /api/messages/scheduled
+// @access  Private
+const getScheduledMessages = async (req, res) => {
+  try {
+    const scheduledMessages = await ScheduledMessage.find({
+      sender: req.user.id,
+      status: "pending",
+    })
+      .sort({ scheduledAt: 1 })
+      .populate("receiver", "name avatar avatarMedia avatarPreview")
+      .populate("group", "name avatar avatarMedia avatarPreview")
+
+    res.status(200).json(scheduledMessages)
+  } catch (error) {
+    console.error("Get scheduled messages error:", error)
+    res.status(500).json({ message: "Server error getting scheduled messages", error: error.message })
+  }
+}
+
+// @desc    Cancel a pending scheduled message
+// @route   DELETE /api/messages/scheduled/:scheduledId
+// @access  Private
+const cancelScheduledMessage = async (req, res) => {
+  try {
+    const { scheduledId } = req.params
+
+    if (!mongoose.Types.ObjectId.isValid(scheduledId)) {
+      return res.status(400).json({ message: "Invalid scheduled message ID" })
+    }
+
+    // Only pending messages can be cancelled, the dispatcher may already be sending it
+    const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+      { _id: scheduledId, sender: req.user.id, status: "pending" },
+      { status: "cancelled" },
+      { new: true },
+    )
+
+    if (!scheduledMessage) {
+      return res.status(404).json({ message: "Pending scheduled message not found" })
+    }
+
+    res.status(200).json({ message: "Scheduled message cancelled" })
+  } catch (error) {
+    console.error("Cancel scheduled message error:", error)
+    res.status(500).json({ message: "Server error cancelling scheduled message", error: error.message })
+  }
+}
+
+// @desc    Get messages between two users
+// @route   GET /api/messages/:userId?before=&after=&around=&limit=
+// @access  Private
+const getMessages = async (req, res) => {
+  try {
+    const currentUserId = req.user.id
+    const otherUserId = req.params.userId
+
+    // Validate userId
+    if (!mongoose.Types.ObjectId.isValid(otherUserId)) {
+      return res.status(400).json({ message: "Invalid user ID" })
+    }
+
+    // Messages where current user is either sender or receiver
+    const conversationFilter = {
+      $or: [
+        { sender: currentUserId, receiver: otherUserId },
+        { sender: otherUserId, receiver: currentUserId },
+      ],
+      deletedFor: { $ne: currentUserId }, // Don't show messages deleted by current user
+    }
+
+    const pageQuery = await parsePageQuery(conversationFilter, req.query)
+    if (pageQuery.error) {
+      return res.status(400).json({ message: pageQuery.error })
+    }
+
+    const result = await paginateMessages(conversationFilter, {
+      ...pageQuery,
+      populate: (query) =>
+        query
+          .populate("sender", "name avatar avatarMedia avatarPreview")
+          .populate("receiver", "name avatar avatarMedia avatarPreview")
+          .populate({
+            path: "replyTo",
+            populate: {
+              path: "sender",
+              select: "name avatar avatarMedia avatarPreview",
+            },
+          }),
+    })
+
+    // Opening the conversation clears a manual unread mark
+    await ConversationSetting.updateOne(
+      { ...ConversationSetting.filterFor(currentUserId, { peer: otherUserId }), markedUnread: true },
+      { markedUnread: false },
+    )
+
+    // Mark the returned messages from the other user as read, message requests stay unread until accepted
+    if (!(await isMessageRequest(currentUserId, otherUserId))) {
+      const readIds = await markRead(
+        req.app.get("io"),
+        { _id: { $in: result.messages.map((msg) => msg._id) }, sender: otherUserId },
+        currentUserId,
+      )
+
+      // Nothing new to read, but the counter can still include messages that disappeared meanwhile
+      if (readIds.length === 0) {
+        await refreshUnreadCount(currentUserId, otherUserId)
+      }
+    }
+
+    res.status(200).json({ ...result, messages: await formatMessagesFor(result.messages, currentUserId) })
+  } catch (error) {
+    console.error("Get messages error:", error)
+    res.status(500).json({ message: "Server error getting messages", error: error.message })
+  }
+}
+
+// Build a gallery entry, with signed URLs (thumbnails included) when the user may open the file
+const formatGalleryItem = (message, canOpenMedia) => {
+  const { media } = message
+
+  return {
+    _id: message._id,
+    sender: message.sender,
+    messageType: message.messageType,
+    text: message.text,
+    timestamp: message.timestamp,
+    links: extractLinks(message.text),
+    voiceNote: message.voiceNote
+      ? { duration: message.voiceNote.duration, waveform: message.voiceNote.waveform }
+      : null,
+    media: media
+      ? {
+          _id: media._id,
+          kind: media.kind,
+          mimeType: media.mimeType,
+          size: media.size,
+          originalName: media.originalName,
+          width: media.preview ? media.preview.width : null,
+          height: media.preview ? media.preview.height : null,
+          placeholder: media.preview ? media.preview.placeholder : null,
+          ...(canOpenMedia ? signMedia(media) : { url: null, variants: [], expiresAt: null }),
+        }
+      : null,
+  }
+}
+
+// @desc    Get the shared media, links, documents and audio of a conversation, newest first
+// @route   GET /api/messages/:userId/media?type=media|docs|links|audio&before=&limit=
+// @access  Private
+const getSharedMedia = async (req, res) => {
+  try {
+    const currentUserId = req.user.id
+    const otherUserId = req.params.userId
+    const { type } = req.query
+
+    if (!mongoose.Types.ObjectId.isValid(otherUserId)) {
+      return res.status(400).json({ message: "Invalid user ID" })
+    }
+
+    if (type && !GALLERY_CATEGORIES[type]) {
+      return res.status(400).json({ message: `type must be one of ${Object.keys(GALLERY_CATEGORIES).join(", ")}` })
+    }
+
+    // Without a type the first page of every category is returned, later pages are loaded per category
+    if (req.query.after || req.query.around) {
+      return res.status(400).json({ message: "Only before can be used to page the gallery" })
+    }
+    if (req.query.before && !type) {
+      return res.status(400).json({ message: "type is required with before" })
+    }
+
+    // Deleted messages and one-time view media never show in the gallery
+    const conversationFilter = {
+      $or: [
+        { sender: currentUserId, receiver: otherUserId },
+        { sender: otherUserId, receiver: currentUserId },
+      ],
+      deletedFor: { $ne: currentUserId },
+      isDeleted: false,
+      oneTimeView: false,
+    }
+
+    // Files from someone who blocked the user stay listed but can't be opened
+    const blockedByOther = Boolean(await User.exists({ _id: otherUserId, blockedUsers: currentUserId }))
+
+    const gallery = {}
+    for (const category of type ? [type] : Object.keys(GALLERY_CATEGORIES)) {
+      const filter = { ...conversationFilter, ...GALLERY_CATEGORIES[category] }
+
+      const pageQuery = await parsePageQuery(filter, req.query)
+      if (pageQuery.error) {
+        return res.status(400).json({ message: pageQuery.error })
+      }
+
+      const { messages, nextCursor, hasMore } = await paginateMessages(filter, {
+        ...pageQuery,
+        populate: (query) =>
+          query
+            .populate("sender", "name avatar avatarMedia avatarPreview")
+            .populate("media", "kind mimeType size originalName preview"),
+      })
+
+      gallery[category] = {
+        items: messages
+          .reverse()
+          .map((message) =>
+            formatGalleryItem(message, message.sender._id.toString() === currentUserId || !blockedByOther),
+          ),
+        nextCursor,
+        hasMore,
+      }
+    }
+
+    res.status(200).json(gallery)
+  } catch (error) {
+    console.error("Get shared media error:", error)
+    res.status(500).json({ message: "Server error getting shared media", error: error.message })
+  }
+}
+
+// @desc    Search messages across the current user's conversations
+// @route   GET /api/messages/search?q=&with=&group=&sender=&messageType=&from=&to=&page=&limit=
+// @access  Private
+const searchMessages = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { q, with: withUser, group, sender, messageType, from, to } = req.query
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({ message: "Search query is required" })
+    }
+
+    for (const [name, value] of [
+      ["with", withUser],
+      ["group", group],
+      ["sender", sender],
+    ]) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${name} ID` })
+      }
+    }
+
+    if (messageType && !Message.schema.path("messageType").enumValues.includes(messageType)) {
+      return res.status(400).json({ message: "Invalid message type" })
+    }
+
+    const fromDate = from ? new Date(from) : null
+    const toDate = to ? new Date(to) : null
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      return res.status(400).json({ message: "Invalid date range" })
+    }
+
+    // Restrict the search to conversations the user takes part in
+    let conversationFilter
+    if (withUser) {
+      conversationFilter = {
+        $or: [
+          { sender: userId, receiver: withUser },
+          { sender: withUser, receiver: userId },
+        ],
+      }
+    } else if (group) {
+      const targetGroup = await Group.findById(group)
+      if (!targetGroup || !targetGroup.isMember(userId)) {
+        return res.status(403).json({ message: "You are not a member of this group" })
+      }
+      conversationFilter = { group }
+    } else {
+      const groups = await Group.find({ members: userId }).select("_id")
+      conversationFilter = {
+        $or: [
+          { sender: userId, group: null },
+          { receiver: userId },
+          { group: { $in: groups.map((item) => item._id) } },
+        ],
+      }
+    }
+
+    const filter = {
+      $text: { $search: q },
+      $and: [conversationFilter],
+      isDeleted: false, // Messages deleted for everyone have no searchable text
+      deletedFor: { $ne: userId }, // Don't include messages deleted by current user
+    }
+
+    if (sender) filter.sender = sender
+    if (messageType) filter.messageType = messageType
+    if (fromDate || toDate) {
+      filter.timestamp = {}
+      if (fromDate) filter.timestamp.$gte = fromDate
+      if (toDate) filter.timestamp.$lte = toDate
+    }
+
+    const limit = Math.min(Number.parseInt(req.query.limit) || 20, 50)
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+
+    const messages = await Message.find(filter, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .populate("sender", "name avatar avatarMedia avatarPreview")
+      .populate("receiver", "name avatar avatarMedia avatarPreview")
+      .populate("group", "name avatar avatarMedia avatarPreview")
+
+    const hasMore = messages.length > limit
+    const terms = extractSearchTerms(q)
+
+    const results = messages.slice(0, limit).map((message) => ({
+      message,
+      ...buildSnippet(message.text, terms),
+    }))
+
+    res.status(200).json({ results, page, hasMore })
+  } catch (error) {
+    console.error("Search messages error:", error)
+    res.status(500).json({ message: "Server error searching messages", error: error.message })
+  }
+}
+
+// @desc    Get the disappearing messages setting for a conversation
+// @route   GET /api/messages/:userId/disappearing
+// @access  Private
+const getDisappearingSetting = async (req, res) => {
+  try {
+    const otherUserId = req.params.userId
+
+    if (!mongoose.Types.ObjectId.isValid(otherUserId)) {
+      return res.status(400).json({ message: "Invalid user ID" })
+    }
+
+    const conversation = await Conversation.findBetween(req.user.id, otherUserId)
+
+    res.status(200).json({
+      timer: conversation ? conversation.disappearingTimer : "off",
+      updatedBy: conversation ? conversation.disappearingUpdatedBy : null,
+      updatedAt: conversation ? conversation.disappearingUpdatedAt : null,
+    })
+  } catch (error) {
+    console.error("Get disappearing setting error:", error)
+    res.status(500).json({ message: "Server error getting disappearing setting", error: error.message })
+  }
+}
+
+// @desc    Change the disappearing messages setting for a conversation
+// @route   PUT /api/messages/:userId/disappearing
+// @access  Private
+const setDisappearingTimer = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const otherUserId = req.params.userId
+    const { timer } = req.body
+
+    if (!mongoose.Types.ObjectId.isValid(otherUserId) || otherUserId === userId) {
+      return res.status(400).json({ message: "Invalid user ID" })
+    }
+
+    if (!Object.keys(DISAPPEARING_TIMERS).includes(timer)) {
+      return res.status(400).json({ message: "Timer must be one of off, 24h, 7d or 90d" })
+    }
+
+    const otherUser = await User.findById(otherUserId)
+    if (!otherUser) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (otherUser.blockedUsers.includes(userId)) {
+      return res.status(403).json({ message: "You cannot change settings for this conversation" })
+    }
+
+    // The change leaves a notice in the other user's chat, so it needs the standing of a regular message:
+    // not while the user's message request is pending or declined, nor before a request would be needed
+    const existing = await Conversation.findBetween(userId, otherUserId)
+    const isOwnRequest = existing && existing.isRequestFor(otherUserId)
+    if (isOwnRequest || (!otherUser.acceptsMessagesFrom(userId) && !(await hasChatHistory(userId, otherUserId)))) {
+      return res.status(403).json({ message: "You cannot change settings for this conversation" })
+    }
+
+    const conversation = await Conversation.findOrCreate(userId, otherUserId)
+
+    if (conversation.disappearingTimer === timer) {
+      return res.status(200).json({ message: "Disappearing messages setting unchanged", timer })
+    }
+
+    conversation.disappearingTimer = timer
+    conversation.disappearingUpdatedBy = userId
+    conversation.disappearingUpdatedAt = new Date()
+    await conversation.save()
+
+    const io = req.app.get("io")
+
+    // Leave a notice in the chat for both sides
+    await sendChatMessage(io, {
+      sender: userId,
+      receiver: otherUserId,
+      text: describeTimerChange(req.user.name, timer),
+      messageType: "system",
+    })
+
+    const update = {
+      timer,
+      updatedBy: userId,
+      updatedAt: conversation.disappearingUpdatedAt,
+    }
+    io.to(userId).emit("disappearingTimerUpdate", { ...update, userId: otherUserId })
+    io.to(otherUserId).emit("disappearingTimerUpdate", { ...update, userId })
+
+    res.status(200).json({ message: "Disappearing messages setting updated", timer })
+  } catch (error) {
+    console.error("Set disappearing timer error:", error)
+    res.status(500).json({ message: "Server error updating disappearing setting", error: error.message })
+  }
+}
+
+// @desc    Get the current user's settings for a conversation
+// @route   GET /api/messages/:userId/settings
+// @access  Private
+const getConversationSettings = async (req, res) => {
+  try {
+    const otherUserId = req.params.userId
+
+    if (!mongoose.Types.ObjectId.isValid(otherUserId)) {
+      return res.status(400).json({ message: "Invalid user ID" })
+    }
+
+    const setting = await ConversationSetting.findOne(ConversationSetting.filterFor(req.user.id, { peer: otherUserId }))
+
+    res.status(200).json(formatSettings(setting, req.user))
+  } catch (error) {
+    console.error("Get conversation settings error:", error)
+    res.status(500).json({ message: "Server error getting conversation settings", error: error.message })
+  }
+}
+
+// @desc    Update the current user's settings for a conversation
+// @route   PUT /api/messages/:userId/settings
+// @access  Private
+const updateConversationSettings = async (req, res) => {
+  try {
+    const otherUserId = req.params.userId
+
+    if (!mongoose.Types.ObjectId.isValid(otherUserId) || otherUserId === req.user.id) {
+      return res.status(400).json({ message: "Invalid user ID" })
+    }
+
+    const { update, error } = parseSettingsUpdate(req.body)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const setting = await updateSettings(req.user.id, { peer: otherUserId }, update)
+
+    res.status(200).json(formatSettings(setting, req.user))
+  } catch (error) {
+    console.error("Update conversation settings error:", error)
+    res.status(500).json({ message: "Server error updating conversation settings", error: error.message })
+  }
+}
+
+// @desc    Mark message as read
+// @route   PUT /api/messages/:messageId/read
+// @access  Private
+const markMessageRead = async (req, res) => {
+  try {
+    const messageId = req.params.messageId
+    const userId = req.user.id
+
+    const message = await Message.findById(messageId)
+
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    // Update status (and viewedAt for one-time view messages) and notify the sender
+    const { error } = await readChatMessage(req.app.get("io"), message, userId)
+    if (error) {
+      return res.status(403).json({ message: error })
+    }
+
+    res.status(200).json({ message: "Message marked as read" })
+  } catch (error) {
+    console.error("Mark message read error:", error)
+    res.status(500).json({ message: "Server error marking message as read", error: error.message })
+  }
+}
+
+// @desc    Mark a voice note as played by the current user
+// @route   POST /api/messages/:messageId/played
+// @access  Private
+const playVoiceNote = async (req, res) => {
+  try {
+    const message = await Message.findById(req.params.messageId)
+
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    // Records the play and notifies the sender with "voiceNotePlayed"
+    const { error } = await markVoiceNotePlayed(req.app.get("io"), message, req.user.id)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    res.status(200).json({ message: "Voice note marked as played" })
+  } catch (error) {
+    console.error("Play voice note error:", error)
+    res.status(500).json({ message: "Server error marking voice note as played", error: error.message })
+  }
+}
+
+// @desc    Edit message text
+// @route   PUT /api/messages/:messageId
+// @access  Private
+const editMessage = async (req, res) => {
+  try {
+    const messageId = req.params.messageId
+    const userId = req.user.id
+    const { text } = req.body
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: "Text is required" })
+    }
+
+    const message = await Message.findById(messageId)
+
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    // Only sender can edit the message
+    if (message.sender.toString() !== userId) {
+      return res.status(403).json({ message: "Not authorized to edit this message" })
+    }
+
+    if (message.isDeleted) {
+      return res.status(400).json({ message: "Deleted messages cannot be edited" })
+    }
+
+    // Polls, attachments and server-generated texts (system notices, "Live location", "Voice message") keep their text
+    if (message.messageType !== "text") {
+      return res.status(400).json({ message: "Only text messages can be edited" })
+    }
+
+    if (!message.isWithinEditWindow()) {
+      return res.status(403).json({ message: "This message can no longer be edited" })
+    }
+
+    // Save and notify the conversation with "messageEdited"
+    await editChatMessage(req.app.get("io"), message, text)
+
+    const populatedMessage = await Message.findById(message._id)
+      .populate("sender", "name avatar avatarMedia avatarPreview")
+      .populate("receiver", "name avatar avatarMedia avatarPreview")
+      .populate("group", "name avatar avatarMedia avatarPreview")
+
+    res.status(200).json(populatedMessage)
+  } catch (error) {
+    console.error("Edit message error:", error)
+    res.status(500).json({ message: "Server error editing message", error: error.message })
+  }
+}
+
+// @desc    Forward a message to other users or groups
+// @route   POST /api/messages/:messageId/forward
+// @access  Private
+const forwardMessage = async (req, res) => {
+  try {
+    const messageId = req.params.messageId
+    const userId = req.user.id
+    const recipients = Array.isArray(req.body.recipients) ? req.body.recipients : []
+    const groups = Array.isArray(req.body.groups) ? req.body.groups : []
+
+    if (recipients.length + groups.length === 0) {
+      return res.status(400).json({ message: "At least one recipient or group is required" })
+    }
+
+    if (recipients.length + groups.length > MAX_FORWARD_TARGETS) {
+      return res.status(400).json({ message: `Messages can be forwarded to at most ${MAX_FORWARD_TARGETS} chats` })
+    }
+
+    const message = await Message.findById(messageId)
+
+    if (!message || message.deletedFor.some((id) => id.toString() === userId)) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    // Check that the user can see the message
+    if (!(await canAccessMessage(message, userId))) {
+      return res.status(403).json({ message: "Not authorized to forward this message" })
+    }
+
+    // Live location announcements belong to the sharer's session, a copy would have no location
+    if (
+      message.isDeleted ||
+      message.oneTimeView ||
+      message.liveLocation ||
+      ["poll", "system"].includes(message.messageType)
+    ) {
+      return res.status(400).json({ message: "This message cannot be forwarded" })
+    }
+
+    const forwardData = {
+      sender: userId,
+      text: message.text,
+      messageType: message.messageType,
+      media: message.media,
+      mediaUrl: message.mediaUrl,
+      mediaPreview: message.mediaPreview,
+      voiceNote: message.voiceNote,
+      forwardedFrom: message.forwardedFrom || message._id,
+      forwardCount: message.forwardCount + 1,
+    }
+
+    const io = req.app.get("io")
+    const results = []
+
+    // Each target goes through the same checks as a regular send
+    for (const recipient of [...new Set(recipients.map(String))]) {
+      const recipientExists = mongoose.Types.ObjectId.isValid(recipient) && (await User.exists({ _id: recipient }))
+      if (!recipientExists) {
+        results.push({ recipient, success: false, error: "Receiver not found" })
+        continue
+      }
+
+      const { message: forwarded, error } = await sendChatMessage(io, { ...forwardData, receiver: recipient })
+      results.push(error ? { recipient, success: false, error } : { recipient, success: true, message: forwarded })
+    }
+
+    for (const group of [...new Set(groups.map(String))]) {
+      if (!mongoose.Types.ObjectId.isValid(group)) {
+        results.push({ group, success: false, error: "Group not found" })
+        continue
+      }
+
+      const { message: forwarded, error } = await sendChatMessage(io, { ...forwardData, group })
+      results.push(error ? { group, success: false, error } : { group, success: true, message: forwarded })
+    }
+
+    const forwardedCount = results.filter((result) => result.success).length
+
+    res.status(forwardedCount > 0 ? 201 : 403).json({
+      message: `Message forwarded to ${forwardedCount} of ${results.length} chats`,
+      results,
+    })
+  } catch (error) {
+    console.error("Forward message error:", error)
+    res.status(500).json({ message: "Server error forwarding message", error: error.message })
+  }
+}
+
+// @desc    Pin a message to the top of its conversation
+// @route   POST /api/messages/:messageId/pin
+// @access  Private
+const pinMessage = async (req, res) => {
   try {
-    const { receiver, text, messageType, mediaUrl, replyTo, oneTimeView } = req.body
-    const sender = req.user.id
+    const userId = req.user.id
+    const message = await Message.findById(req.params.messageId)
 
-    // Check if receiver exists
-    const receiverUser = await User.findById(receiver)
-    if (!receiverUser) {
-      return res.status(404).json({ message: "Receiver not found" })
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
     }
 
-    // Check if sender is blocked by receiver
-    if (receiverUser.blockedUsers.includes(sender)) {
-      return res.status(403).json({ message: "You cannot send messages to this user" })
+    if (!(await canAccessMessage(message, userId))) {
+      return res.status(403).json({ message: "Not authorized to pin this message" })
     }
 
-    // Create new message
-    const newMessage = new Message({
-      sender,
-      receiver,
-      text,
-      messageType: messageType || "text",
-      mediaUrl: mediaUrl || null,
-      replyTo: replyTo || null,
-      oneTimeView: oneTimeView || false,
-      timestamp: new Date(),
-    })
+    if (message.isDeleted || message.messageType === "system") {
+      return res.status(400).json({ message: "This message cannot be pinned" })
+    }
+
+    const holder = await getConversationHolder(message)
+    if (!holder) {
+      return res.status(404).json({ message: "Conversation not found" })
+    }
 
-    // Save message to database
-    const savedMessage = await newMessage.save()
+    if (holder.pinnedMessages.some((pin) => pin.message.toString() === message._id.toString())) {
+      return res.status(400).json({ message: "Message is already pinned" })
+    }
 
-    // Populate sender info for the response
-    const populatedMessage = await Message.findById(savedMessage._id)
-      .populate("sender", "name avatar")
-      .populate("receiver", "name avatar")
-      .populate({
-        path: "replyTo",
-        populate: {
-          path: "sender",
-          select: "name avatar",
-        },
+    if (holder.pinnedMessages.length >= MAX_PINNED_MESSAGES) {
+      return res.status(400).json({
+        message: `You can pin up to ${MAX_PINNED_MESSAGES} messages. Unpin one to pin another.`,
       })
+    }
+
+    const pin = { message: message._id, pinnedBy: userId, pinnedAt: new Date() }
+    holder.pinnedMessages.push(pin)
+    await holder.save()
+
+    emitToConversation(req.app.get("io"), message, "messagePinned", {
+      messageId: message._id,
+      pinnedBy: userId,
+      pinnedAt: pin.pinnedAt,
+    })
 
-    res.status(201).json(populatedMessage)
+    res.status(200).json({ message: "Message pinned", pinnedMessages: holder.pinnedMessages })
   } catch (error) {
-    console.error("Send message error:", error)
-    res.status(500).json({ message: "Server error sending message", error: error.message })
+    console.error("Pin message error:", error)
+    res.status(500).json({ message: "Server error pinning message", error: error.message })
   }
 }
 
-// @desc    Get messages between two users
-// @route   GET /api/messages/:userId
+// @desc    Unpin a message
+// @route   DELETE /api/messages/:messageId/pin
 // @access  Private
-const getMessages = async (req, res) => {
+const unpinMessage = async (req, res) => {
   try {
-    const currentUserId = req.user.id
-    const otherUserId = req.params.userId
+    const userId = req.user.id
+    const message = await Message.findById(req.params.messageId)
 
-    // Validate userId
-    if (!mongoose.Types.ObjectId.isValid(otherUserId)) {
-      return res.status(400).json({ message: "Invalid user ID" })
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
     }
 
-    // Get messages where current user is either sender or receiver
-    const messages = await Message.find({
-      $or: [
-        { sender: currentUserId, receiver: otherUserId },
-        { sender: otherUserId, receiver: currentUserId },
-      ],
-      deletedFor: { $ne: currentUserId }, // Don't show messages deleted by current user
+    if (!(await canAccessMessage(message, userId))) {
+      return res.status(403).json({ message: "Not authorized to unpin this message" })
+    }
+
+    const holder = await getConversationHolder(message)
+    if (!holder || !holder.pinnedMessages.some((pin) => pin.message.toString() === message._id.toString())) {
+      return res.status(404).json({ message: "Message is not pinned" })
+    }
+
+    holder.pinnedMessages = holder.pinnedMessages.filter((pin) => pin.message.toString() !== message._id.toString())
+    await holder.save()
+
+    emitToConversation(req.app.get("io"), message, "messageUnpinned", {
+      messageId: message._id,
+      unpinnedBy: userId,
     })
-      .sort({ timestamp: 1 })
-      .populate("sender", "name avatar")
-      .populate("receiver", "name avatar")
+
+    res.status(200).json({ message: "Message unpinned", pinnedMessages: holder.pinnedMessages })
+  } catch (error) {
+    console.error("Unpin message error:", error)
+    res.status(500).json({ message: "Server error unpinning message", error: error.message })
+  }
+}
+
+// @desc    Star a message (private to the current user)
+// @route   POST /api/messages/:messageId/star
+// @access  Private
+const starMessage = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const message = await Message.findById(req.params.messageId)
+
+    if (!message || message.deletedFor.some((id) => id.toString() === userId)) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    if (!(await canAccessMessage(message, userId))) {
+      return res.status(403).json({ message: "Not authorized to star this message" })
+    }
+
+    if (message.isDeleted) {
+      return res.status(400).json({ message: "Deleted messages cannot be starred" })
+    }
+
+    await StarredMessage.updateOne(
+      { user: userId, message: message._id },
+      { $setOnInsert: { user: userId, message: message._id } },
+      { upsert: true },
+    )
+
+    res.status(200).json({ message: "Message starred" })
+  } catch (error) {
+    console.error("Star message error:", error)
+    res.status(500).json({ message: "Server error starring message", error: error.message })
+  }
+}
+
+// @desc    Unstar a message
+// @route   DELETE /api/messages/:messageId/star
+// @access  Private
+const unstarMessage = async (req, res) => {
+  try {
+    const result = await StarredMessage.deleteOne({ user: req.user.id, message: req.params.messageId })
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Message is not starred" })
+    }
+
+    res.status(200).json({ message: "Message unstarred" })
+  } catch (error) {
+    console.error("Unstar message error:", error)
+    res.status(500).json({ message: "Server error unstarring message", error: error.message })
+  }
+}
+
+// @desc    Get starred messages across all chats
+// @route   GET /api/messages/starred?page=&limit=
+// @access  Private
+const getStarredMessages = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const limit = Math.min(Number.parseInt(req.query.limit) || 20, 50)
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+
+    const starred = await StarredMessage.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
       .populate({
-        path: "replyTo",
-        populate: {
-          path: "sender",
-          select: "name avatar",
-        },
+        path: "message",
+        populate: [
+          { path: "sender", select: "name avatar avatarMedia avatarPreview" },
+          { path: "receiver", select: "name avatar avatarMedia avatarPreview" },
+          { path: "group", select: "name avatar avatarMedia avatarPreview" },
+        ],
       })
 
-    // Mark messages as read
-    const unreadMessages = messages.filter((msg) => msg.sender._id.toString() === otherUserId && !msg.isRead)
+    const hasMore = starred.length > limit
 
-    if (unreadMessages.length > 0) {
-      await Message.updateMany(
-        {
-          _id: { $in: unreadMessages.map((msg) => msg._id) },
-        },
+    // Skip messages that expired or were deleted since they were starred
+    const messages = starred
+      .slice(0, limit)
+      .filter(
+        (entry) =>
+          entry.message && !entry.message.isDeleted && !entry.message.deletedFor.some((id) => id.toString() === userId),
+      )
+      .map((entry) => ({ starredAt: entry.createdAt, message: entry.message }))
+
+    res.status(200).json({ messages, page, hasMore })
+  } catch (error) {
+    console.error("Get starred messages error:", error)
+    res.status(500).json({ message: "Server error getting starred messages", error: error.message })
+  }
+}
+
+// @desc    Get messages that mention the current user, newest first
+// @route   GET /api/messages/mentions?before=<messageId>&limit=<n>
+// @access  Private
+const getMentions = async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    // Only mentions in conversations the user can still see
+    const groups = await Group.find({ members: userId }).select("_id")
+    const mentionsFilter = {
+      "mentions.user": userId,
+      $or: [{ receiver: userId }, { group: { $in: groups.map((group) => group._id) } }],
+      isDeleted: false,
+      deletedFor: { $ne: userId },
+    }
+
+    const pageQuery = await parsePageQuery(mentionsFilter, req.query)
+    if (pageQuery.error) {
+      return res.status(400).json({ message: pageQuery.error })
+    }
+
+    const result = await paginateMessages(mentionsFilter, {
+      ...pageQuery,
+      populate: (query) =>
+        query
+          .populate("sender", "name avatar avatarMedia avatarPreview")
+          .populate("receiver", "name avatar avatarMedia avatarPreview")
+          .populate("group", "name avatar avatarMedia avatarPreview"),
+    })
+
+    res.status(200).json({ ...result, messages: result.messages.reverse() })
+  } catch (error) {
+    console.error("Get mentions error:", error)
+    res.status(500).json({ message: "Server error getting mentions", error: error.message })
+  }
+}
+
+// @desc    Vote in a poll (replaces the current user's previous vote)
+// @route   POST /api/messages/:messageId/vote
+// @access  Private
+const votePoll = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const optionIds = Array.isArray(req.body.optionIds) ? req.body.optionIds.map(String) : []
+
+    if (optionIds.length === 0) {
+      return res.status(400).json({ message: "At least one option is required" })
+    }
+
+    const message = await Message.findById(req.params.messageId)
+
+    if (!message || message.messageType !== "poll" || !message.poll || message.isDeleted) {
+      return res.status(404).json({ message: "Poll not found" })
+    }
+
+    if (!(await canAccessMessage(message, userId))) {
+      return res.status(403).json({ message: "Not authorized to vote in this poll" })
+    }
+
+    if (isPollClosed(message.poll)) {
+      return res.status(400).json({ message: "This poll is closed" })
+    }
+
+    if (!message.poll.allowMultiple && optionIds.length > 1) {
+      return res.status(400).json({ message: "This poll only allows one choice" })
+    }
+
+    const validIds = message.poll.options.map((option) => option._id.toString())
+    if (!optionIds.every((id) => validIds.includes(id))) {
+      return res.status(400).json({ message: "Invalid poll option" })
+    }
+
+    // Replace any previous vote with the new choices in one update, so concurrent votes can't
+    // leave the user on several options of a single-choice poll
+    const voter = new mongoose.Types.ObjectId(userId)
+    const chosen = optionIds.map((id) => new mongoose.Types.ObjectId(id))
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, isDeleted: false },
+      [
         {
-          isRead: true,
-          readAt: new Date(),
+          $set: {
+            "poll.options": {
+              $map: {
+                input: "$poll.options",
+                as: "option",
+                in: {
+                  $mergeObjects: [
+                    "$$option",
+                    {
+                      voters: {
+                        $concatArrays: [
+                          { $filter: { input: "$$option.voters", cond: { $ne: ["$$this", voter] } } },
+                          { $cond: [{ $in: ["$$option._id", chosen] }, [voter], []] },
+                        ],
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
         },
-      )
+      ],
+      { new: true },
+    )
+
+    // Deleted since it was loaded
+    if (!updated) {
+      return res.status(404).json({ message: "Poll not found" })
     }
 
-    res.status(200).json(messages)
+    const poll = summarizePoll(updated.poll)
+    emitToConversation(req.app.get("io"), updated, "pollUpdated", { messageId: updated._id, poll })
+
+    res.status(200).json({ message: "Vote recorded", poll })
   } catch (error) {
-    console.error("Get messages error:", error)
-    res.status(500).json({ message: "Server error getting messages", error: error.message })
+    console.error("Vote poll error:", error)
+    res.status(500).json({ message: "Server error voting in poll", error: error.message })
   }
 }
 
-// @desc    Mark message as read
-// @route   PUT /api/messages/:messageId/read
+// @desc    Retract the current user's vote in a poll
+// @route   DELETE /api/messages/:messageId/vote
 // @access  Private
-const markMessageRead = async (req, res) => {
+const retractPollVote = async (req, res) => {
   try {
-    const messageId = req.params.messageId
     const userId = req.user.id
+    const message = await Message.findById(req.params.messageId)
 
-    const message = await Message.findById(messageId)
+    if (!message || message.messageType !== "poll" || !message.poll || message.isDeleted) {
+      return res.status(404).json({ message: "Poll not found" })
+    }
 
-    if (!message) {
-      return res.status(404).json({ message: "Message not found" })
+    if (!(await canAccessMessage(message, userId))) {
+      return res.status(403).json({ message: "Not authorized to vote in this poll" })
     }
 
-    // Only receiver can mark message as read
-    if (message.receiver.toString() !== userId) {
-      return res.status(403).json({ message: "Not authorized to mark this message as read" })
+    if (isPollClosed(message.poll)) {
+      return res.status(400).json({ message: "This poll is closed" })
     }
 
-    // Update message
-    message.isRead = true
-    message.readAt = new Date()
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, isDeleted: false },
+      { $pull: { "poll.options.$[].voters": userId } },
+      { new: true },
+    )
 
-    // If it's a one-time view message, also mark viewedAt
-    if (message.oneTimeView && !message.viewedAt) {
-      message.viewedAt = new Date()
+    // Deleted since it was loaded
+    if (!updated) {
+      return res.status(404).json({ message: "Poll not found" })
     }
 
-    await message.save()
+    const poll = summarizePoll(updated.poll)
+    emitToConversation(req.app.get("io"), updated, "pollUpdated", { messageId: updated._id, poll })
 
-    res.status(200).json({ message: "Message marked as read" })
+    res.status(200).json({ message: "Vote retracted", poll })
   } catch (error) {
-    console.error("Mark message read error:", error)
-    res.status(500).json({ message: "Server error marking message as read", error: error.message })
+    console.error("Retract poll vote error:", error)
+    res.status(500).json({ message: "Server error retracting vote", error: error.message })
   }
 }
 
@@ -161,24 +1265,15 @@ const deleteMessage = async (req, res) => {
       return res.status(404).json({ message: "Message not found" })
     }
 
-    // Check if user is sender or receiver
+    // Check if user is sender or receiver (any member for group messages)
     const isSender = message.sender.toString() === userId
-    const isReceiver = message.receiver.toString() === userId
 
-    if (!isSender && !isReceiver) {
+    if (!(await canAccessMessage(message, userId))) {
       return res.status(403).json({ message: "Not authorized to delete this message" })
     }
 
-    if (deleteForEveryone === "true" && isSender) {
-      // If sender wants to delete for everyone, mark as deleted
-      message.isDeleted = true
-      message.text = "This message was deleted"
-      await message.save()
-    } else {
-      // Delete just for current user
-      message.deletedFor.push(userId)
-      await message.save()
-    }
+    // Only the sender can delete for everyone, anyone else deletes just for themselves
+    await deleteChatMessage(req.app.get("io"), message, userId, deleteForEveryone === "true" && isSender)
 
     res.status(200).json({ message: "Message deleted successfully" })
   } catch (error) {
@@ -206,22 +1301,12 @@ const addReaction = async (req, res) => {
       return res.status(404).json({ message: "Message not found" })
     }
 
-    // Check if user has already reacted with this emoji
-    const existingReaction = message.reactions.find(
-      (reaction) => reaction.user.toString() === userId && reaction.emoji === emoji,
-    )
-
-    if (existingReaction) {
-      // Remove the reaction if it already exists (toggle behavior)
-      message.reactions = message.reactions.filter(
-        (reaction) => !(reaction.user.toString() === userId && reaction.emoji === emoji),
-      )
-    } else {
-      // Add new reaction
-      message.reactions.push({ user: userId, emoji })
+    if (!(await canAccessMessage(message, userId))) {
+      return res.status(403).json({ message: "Not authorized to react to this message" })
     }
 
-    await message.save()
+    // Toggle the reaction and notify the conversation with "messageReaction"
+    await toggleReaction(req.app.get("io"), message, userId, emoji)
 
     res.status(200).json({ message: "Reaction updated", reactions: message.reactions })
   } catch (error) {
@@ -230,95 +1315,280 @@ const addReaction = async (req, res) => {
   }
 }
 
+// Load a page of one-to-one conversations for the chat list, most recent activity first
+// Returns { page, hasMore }, or { error } for an invalid cursor
+const findChatPage = async (filter, query) => {
+  const limit = parseLimit(query.limit)
+  const pageFilter = { ...filter, lastMessageAt: { $ne: null } }
+
+  if (query.cursor) {
+    const cursor = decodeChatCursor(query.cursor)
+    if (!cursor) {
+      return { error: "Invalid cursor" }
+    }
+    pageFilter.$or = [
+      { lastMessageAt: { $lt: cursor.lastMessageAt } },
+      { lastMessageAt: cursor.lastMessageAt, _id: { $lt: cursor._id } },
+    ]
+  }
+
+  const conversations = await Conversation.find(pageFilter)
+    .sort({ lastMessageAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate("participants", "name avatar avatarMedia avatarPreview status")
+    .populate("lastMessage", "text messageType timestamp isRead status sender isDeleted deletedFor")
+    .populate(
+      "pinnedMessages.message",
+      "text messageType media mediaUrl mediaPreview oneTimeView sender timestamp isDeleted",
+    )
+
+  const hasMore = conversations.length > limit
+  return { page: hasMore ? conversations.slice(0, limit) : conversations, hasMore }
+}
+
+// Build a chat list entry with the user's own settings (mute, archive, unread, wallpaper)
+const formatChatEntry = (conversation, userId, settingsMap, user) => {
+  const otherUser = conversation.participants.find((participant) => participant._id.toString() !== userId)
+
+  return {
+    user: {
+      _id: otherUser._id,
+      name: otherUser.name,
+      ...formatAvatar(otherUser),
+      status: otherUser.status,
+    },
+    lastMessage: formatLastMessage(conversation.lastMessage, userId),
+    unreadCount: conversation.unreadCounts.get(userId) || 0,
+    pinnedMessages: conversation.pinnedMessages.filter((pin) => pin.message && !pin.message.isDeleted),
+    disappearingTimer: conversation.disappearingTimer,
+    ...formatSettings(settingsMap.get(otherUser._id.toString()), user),
+  }
+}
+
+// Message requests sent to a user (pending, or declined and hidden)
+const requestsFor = (userId, statuses) => ({
+  requestStatus: { $in: statuses },
+  requestedBy: { $ne: userId },
+})
+
 // @desc    Get recent chats (conversations)
-// @route   GET /api/messages/chats
+// @route   GET /api/messages/chats?archived=true&cursor=<cursor>&limit=<n>
 // @access  Private
 const getRecentChats = async (req, res) => {
   try {
     const userId = req.user.id
+    const showArchived = req.query.archived === "true"
 
-    // Get all messages where user is sender or receiver
-    const messages = await Message.find({
-      $or: [{ sender: userId }, { receiver: userId }],
-      deletedFor: { $ne: userId }, // Don't include messages deleted by user
-    })
-      .sort({ timestamp: -1 })
-      .populate("sender", "name avatar status")
-      .populate("receiver", "name avatar status")
-
-    // Create a map of conversations
-    const conversationsMap = new Map()
-
-    messages.forEach((message) => {
-      // Determine the other user in the conversation
-      const otherUser = message.sender._id.toString() === userId ? message.receiver : message.sender
-
-      const otherUserId = otherUser._id.toString()
-
-      // If this conversation is not yet in our map, add it
-      if (!conversationsMap.has(otherUserId)) {
-        conversationsMap.set(otherUserId, {
-          user: {
-            _id: otherUser._id,
-            name: otherUser.name,
-            avatar: otherUser.avatar,
-            status: otherUser.status,
-          },
-          lastMessage: {
-            _id: message._id,
-            text: message.isDeleted ? "This message was deleted" : message.text,
-            messageType: message.messageType,
-            timestamp: message.timestamp,
-            isRead: message.isRead,
-            sender: message.sender._id.toString(),
-          },
-          unreadCount: 0,
-        })
-      }
-    })
+    // Loading the chat list means every pending message has reached this device
+    await markDelivered(req.app.get("io"), { group: null }, userId)
 
-    // Count unread messages for each conversation
-    const unreadCounts = await Message.aggregate([
-      {
-        $match: {
-          receiver: mongoose.Types.ObjectId(userId),
-          isRead: false,
-          deletedFor: { $ne: mongoose.Types.ObjectId(userId) },
-        },
-      },
+    // Archived chats are listed separately
+    const archivedSettings = await ConversationSetting.find({ user: userId, peer: { $ne: null }, archived: true })
+    const archivedKeys = archivedSettings.map((setting) => Conversation.keyFor(userId, setting.peer))
+
+    // Message requests sent to the user are listed through /api/messages/requests
+    const { page, hasMore, error } = await findChatPage(
       {
-        $group: {
-          _id: "$sender",
-          count: { $sum: 1 },
-        },
+        participants: userId,
+        key: showArchived ? { $in: archivedKeys } : { $nin: archivedKeys },
+        $nor: [requestsFor(userId, ["pending", "declined"])],
       },
-    ])
+      req.query,
+    )
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
 
-    // Add unread counts to conversations
-    unreadCounts.forEach((item) => {
-      const senderId = item._id.toString()
-      if (conversationsMap.has(senderId)) {
-        conversationsMap.get(senderId).unreadCount = item.count
-      }
-    })
+    const settingsMap = await getSettingsMap(userId)
+    const chats = page.map((conversation) => formatChatEntry(conversation, userId, settingsMap, req.user))
 
-    // Convert map to array and sort by last message timestamp
-    const conversations = Array.from(conversationsMap.values()).sort(
-      (a, b) => new Date(b.lastMessage.timestamp) - new Date(a.lastMessage.timestamp),
-    )
+    const archivedCount = await Conversation.countDocuments({
+      key: { $in: archivedKeys },
+      lastMessageAt: { $ne: null },
+      $nor: [requestsFor(userId, ["pending", "declined"])],
+    })
+    const requestCount = await Conversation.countDocuments({
+      participants: userId,
+      lastMessageAt: { $ne: null },
+      ...requestsFor(userId, ["pending"]),
+    })
 
-    res.status(200).json(conversations)
+    res.status(200).json({
+      chats,
+      nextCursor: hasMore ? encodeChatCursor(page[page.length - 1]) : null,
+      hasMore,
+      archivedCount,
+      requestCount,
+    })
   } catch (error) {
     console.error("Get recent chats error:", error)
     res.status(500).json({ message: "Server error getting recent chats", error: error.message })
   }
 }
 
+// @desc    Get pending message requests from people the user doesn't accept messages from
+// @route   GET /api/messages/requests?cursor=<cursor>&limit=<n>
+// @access  Private
+const getMessageRequests = async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    const { page, hasMore, error } = await findChatPage(
+      { participants: userId, ...requestsFor(userId, ["pending"]) },
+      req.query,
+    )
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const settingsMap = await getSettingsMap(userId)
+    const requests = page.map((conversation) => ({
+      ...formatChatEntry(conversation, userId, settingsMap, req.user),
+      requestedAt: conversation.lastMessageAt,
+    }))
+
+    res.status(200).json({
+      requests,
+      nextCursor: hasMore ? encodeChatCursor(page[page.length - 1]) : null,
+      hasMore,
+    })
+  } catch (error) {
+    console.error("Get message requests error:", error)
+    res.status(500).json({ message: "Server error getting message requests", error: error.message })
+  }
+}
+
+// Find the pending message request from another user, for the request actions below
+const findPendingRequest = async (userId, otherUserId) => {
+  if (!mongoose.Types.ObjectId.isValid(otherUserId)) return null
+
+  const conversation = await Conversation.findBetween(userId, otherUserId)
+  if (!conversation || conversation.requestStatus !== "pending" || !conversation.isRequestFor(userId)) return null
+  return conversation
+}
+
+// @desc    Accept a message request, moving it to the chat list
+// @route   POST /api/messages/requests/:userId/accept
+// @access  Private
+const acceptMessageRequest = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const otherUserId = req.params.userId
+
+    const conversation = await findPendingRequest(userId, otherUserId)
+    if (!conversation) {
+      return res.status(404).json({ message: "Message request not found" })
+    }
+
+    conversation.requestStatus = "accepted"
+    conversation.requestRespondedAt = new Date()
+    await conversation.save()
+
+    res.status(200).json({ message: "Message request accepted" })
+  } catch (error) {
+    console.error("Accept message request error:", error)
+    res.status(500).json({ message: "Server error accepting message request", error: error.message })
+  }
+}
+
+// @desc    Decline a message request, the requester can't send more messages
+// @route   POST /api/messages/requests/:userId/decline
+// @access  Private
+const declineMessageRequest = async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    const conversation = await findPendingRequest(userId, req.params.userId)
+    if (!conversation) {
+      return res.status(404).json({ message: "Message request not found" })
+    }
+
+    conversation.requestStatus = "declined"
+    conversation.requestRespondedAt = new Date()
+    await conversation.save()
+
+    res.status(200).json({ message: "Message request declined" })
+  } catch (error) {
+    console.error("Decline message request error:", error)
+    res.status(500).json({ message: "Server error declining message request", error: error.message })
+  }
+}
+
+// @desc    Report a message request, declining it and optionally blocking the requester
+// @route   POST /api/messages/requests/:userId/report
+// @access  Private
+const reportMessageRequest = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const otherUserId = req.params.userId
+    const { reason, block } = req.body
+
+    if (reason !== undefined && (typeof reason !== "string" || reason.length > 500)) {
+      return res.status(400).json({ message: "reason must be a string of at most 500 characters" })
+    }
+
+    const conversation = await findPendingRequest(userId, otherUserId)
+    if (!conversation) {
+      return res.status(404).json({ message: "Message request not found" })
+    }
+
+    conversation.requestStatus = "declined"
+    conversation.requestRespondedAt = new Date()
+    await conversation.save()
+
+    // Attach the request messages for moderators
+    const messages = await Message.find({ sender: otherUserId, receiver: userId }).select("_id")
+    const report = await Report.create({
+      reporter: userId,
+      reportedUser: otherUserId,
+      source: "messageRequest",
+      reason: reason || "",
+      messages: messages.map((message) => message._id),
+    })
+
+    if (block === true) {
+      const user = await User.findById(userId)
+      if (!user.blockedUsers.some((id) => id.toString() === otherUserId)) {
+        await applyBlock(req.app.get("io"), user, otherUserId)
+      }
+    }
+
+    res.status(201).json({ message: "Message request reported", reportId: report._id })
+  } catch (error) {
+    console.error("Report message request error:", error)
+    res.status(500).json({ message: "Server error reporting message request", error: error.message })
+  }
+}
+
 module.exports = {
   sendMessage,
+  sendVoiceNote,
+  getScheduledMessages,
+  cancelScheduledMessage,
   getMessages,
+  getSharedMedia,
+  searchMessages,
+  getDisappearingSetting,
+  setDisappearingTimer,
+  getConversationSettings,
+  updateConversationSettings,
   markMessageRead,
+  playVoiceNote,
+  editMessage,
+  forwardMessage,
+  pinMessage,
+  unpinMessage,
+  starMessage,
+  unstarMessage,
+  getStarredMessages,
+  getMentions,
+  votePoll,
+  retractPollVote,
   deleteMessage,
   addReaction,
   getRecentChats,
+  getMessageRequests,
+  acceptMessageRequest,
+  declineMessageRequest,
+  reportMessageRequest,
 }
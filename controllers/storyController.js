@@ -1,19 +1,36 @@
 const Story = require("../models/Story")
 const User = require("../models/User")
+const { resolveMedia } = require("../services/mediaService")
+const { visibleStoriesFilter, formatStory } = require("../services/storyService")
 
 // @desc    Create a new story
 // @route   POST /api/stories
 // @access  Private
 const createStory = async (req, res) => {
   try {
-    const { content, mediaType, mediaUrl, music, textStyle } = req.body
+    const { content, mediaId, music, textStyle } = req.body
+
+    // Stories show one of the user's image, video or audio uploads, its kind is the story's media type
+    let media = null
+    if (mediaId) {
+      const result = await resolveMedia(mediaId, req.user._id, ["image", "video", "audio"])
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        })
+      }
+      media = result.media
+    }
 
     // Crear nueva historia
     const newStory = new Story({
       user: req.user._id, // Usar _id en lugar de id
       content: content || "",
-      mediaType: mediaType || "text",
-      mediaUrl: mediaUrl || null,
+      mediaType: media ? media.kind : "text",
+      media: media ? media._id : null,
+      mediaUrl: media ? media.url : null,
+      mediaPreview: media ? media.preview : null,
       music: music || null,
       textStyle: textStyle || null,
       expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 horas
@@ -22,7 +39,10 @@ const createStory = async (req, res) => {
     const savedStory = await newStory.save()
 
     // Populate user info for response
-    const populatedStory = await Story.findById(savedStory._id).populate("user", "name avatar")
+    const populatedStory = await Story.findById(savedStory._id).populate(
+      "user",
+      "name avatar avatarMedia avatarPreview",
+    )
 
     res.status(201).json({
       success: true,
@@ -43,13 +63,9 @@ const createStory = async (req, res) => {
 // @access  Private
 const getStories = async (req, res) => {
   try {
-    // Obtener solo historias que no han expirado
-    const currentTime = new Date()
-
-    const stories = await Story.find({
-      expiresAt: { $gt: currentTime },
-    })
-      .populate("user", "name avatar")
+    // Only unexpired stories of the user and their friends, minus anyone who blocked them
+    const stories = await Story.find(await visibleStoriesFilter(req.user.id))
+      .populate("user", "name avatar avatarMedia avatarPreview")
       .sort({ createdAt: -1 })
 
     // Agrupar historias por usuario
@@ -67,7 +83,7 @@ const getStories = async (req, res) => {
         storyGroups.push(userMap[userId])
       }
 
-      userMap[userId].stories.push(story)
+      userMap[userId].stories.push(formatStory(story, req.user.id))
     })
 
     res.status(200).json({
@@ -89,14 +105,9 @@ const getStories = async (req, res) => {
 // @access  Private
 const getUserStories = async (req, res) => {
   try {
-    // Obtener solo historias que no han expirado
-    const currentTime = new Date()
-
-    const stories = await Story.find({
-      user: req.params.userId,
-      expiresAt: { $gt: currentTime },
-    })
-      .populate("user", "name avatar")
+    // Stories the current user isn't allowed to see are reported as missing
+    const stories = await Story.find({ $and: [await visibleStoriesFilter(req.user.id), { user: req.params.userId }] })
+      .populate("user", "name avatar avatarMedia avatarPreview")
       .sort({ createdAt: -1 })
 
     if (!stories || stories.length === 0) {
@@ -108,7 +119,7 @@ const getUserStories = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      stories,
+      stories: stories.map((story) => formatStory(story, req.user.id)),
     })
   } catch (error) {
     console.error("Get user stories error:", error)
@@ -204,7 +215,10 @@ const deleteStory = async (req, res) => {
 // @access  Private
 const getStoryViewers = async (req, res) => {
   try {
-    const story = await Story.findById(req.params.storyId).populate("viewers.user", "name avatar")
+    const story = await Story.findById(req.params.storyId).populate(
+      "viewers.user",
+      "name avatar avatarMedia avatarPreview",
+    )
 
     if (!story) {
       return res.status(404).json({
@@ -0,0 +1,181 @@
+const Message = require("../models/Message")
+const Group = require("../models/Group")
+const Story = require("../models/Story")
+const User = require("../models/User")
+const mongoose = require("mongoose")
+const { parseLimit } = require("../utils/messagePagination")
+const { visibleStoriesFilter, formatStory } = require("../services/storyService")
+const { formatMessagesFor } = require("../services/mediaAccessService")
+
+// Sync cursors are "<time in ms>" or "<time in ms>_<last message id>" when a batch was cut short.
+// Step back a few seconds from "now" so writes still in flight are picked up next time,
+// clients apply changes by ID so seeing one twice is harmless
+const SYNC_SAFETY_MARGIN_MS = 5000
+
+const encodeSyncCursor = (time, messageId) => (messageId ? `${time.getTime()}_${messageId}` : `${time.getTime()}`)
+
+const decodeSyncCursor = (cursor) => {
+  const [time, id] = String(cursor).split("_")
+  const since = new Date(Number(time))
+  if (!time || Number.isNaN(since.getTime())) return null
+  if (id !== undefined && !mongoose.Types.ObjectId.isValid(id)) return null
+
+  return { since, messageId: id ? new mongoose.Types.ObjectId(id) : null }
+}
+
+// Build the receipt state of a message the user sent
+const formatReceipt = (message) => ({
+  messageId: message._id,
+  status: message.status,
+  deliveredAt: message.deliveredAt,
+  readAt: message.readAt,
+  readBy: message.readBy,
+})
+
+// @desc    Get everything that changed since a sync cursor
+// @route   GET /api/sync?since=<cursor>&limit=<n>
+// @access  Private
+const getChanges = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const now = new Date()
+    const nextCursorTime = new Date(now.getTime() - SYNC_SAFETY_MARGIN_MS)
+
+    // Without a cursor the client is starting fresh, hand it a starting point
+    if (!req.query.since) {
+      return res.status(200).json({
+        success: true,
+        messages: { created: [], updated: [], deleted: [] },
+        receipts: [],
+        friendRequests: null,
+        stories: { updated: [], activeIds: [] },
+        cursor: encodeSyncCursor(nextCursorTime),
+        hasMore: false,
+      })
+    }
+
+    const cursor = decodeSyncCursor(req.query.since)
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid sync cursor",
+      })
+    }
+
+    const { since, messageId } = cursor
+    const limit = parseLimit(req.query.limit)
+
+    // Messages in the user's one-to-one chats and current groups
+    const groups = await Group.find({ members: userId }).select("_id")
+    const changedSince = messageId
+      ? { $or: [{ updatedAt: { $gt: since } }, { updatedAt: since, _id: { $gt: messageId } }] }
+      : { updatedAt: { $gt: since } }
+
+    const changedMessages = await Message.find({
+      $and: [
+        {
+          $or: [{ sender: userId }, { receiver: userId }, { group: { $in: groups.map((group) => group._id) } }],
+        },
+        changedSince,
+      ],
+    })
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .populate("sender", "name avatar avatarMedia avatarPreview")
+      .populate("receiver", "name avatar avatarMedia avatarPreview")
+      .populate({
+        path: "replyTo",
+        populate: {
+          path: "sender",
+          select: "name avatar avatarMedia avatarPreview",
+        },
+      })
+
+    const hasMore = changedMessages.length > limit
+    const batch = hasMore ? changedMessages.slice(0, limit) : changedMessages
+
+    // Sort each change into new messages, updates (edits, reactions, receipts, votes) and deletions
+    const messages = { created: [], updated: [], deleted: [] }
+    const receipts = []
+
+    batch.forEach((message) => {
+      const deletedForMe = message.deletedFor.some((id) => id.toString() === userId)
+
+      if (message.isDeleted || deletedForMe) {
+        messages.deleted.push({
+          _id: message._id,
+          receiver: message.receiver ? message.receiver._id : null,
+          group: message.group,
+          sender: message.sender._id,
+          forEveryone: message.isDeleted,
+        })
+        return
+      }
+
+      if (message.createdAt > since) {
+        messages.created.push(message)
+      } else {
+        messages.updated.push(message)
+      }
+
+      if (message.sender._id.toString() === userId) {
+        receipts.push(formatReceipt(message))
+      }
+    })
+
+    messages.created = await formatMessagesFor(messages.created, userId)
+    messages.updated = await formatMessagesFor(messages.updated, userId)
+
+    // A cut short batch resumes after its last message, everything else is fetched again from there
+    const nextCursor = hasMore
+      ? encodeSyncCursor(batch[batch.length - 1].updatedAt, batch[batch.length - 1]._id)
+      : encodeSyncCursor(nextCursorTime)
+
+    // Friend requests live on the user documents, send the current state when it may have changed
+    const user = await User.findById(userId).select("friends sentFriendRequests receivedFriendRequests updatedAt")
+    let friendRequests = null
+    if (user.updatedAt > since) {
+      const received = await User.find(
+        { _id: { $in: user.receivedFriendRequests } },
+        "name avatar avatarMedia avatarPreview status",
+      )
+      const sent = await User.find(
+        { _id: { $in: user.sentFriendRequests } },
+        "name avatar avatarMedia avatarPreview status",
+      )
+      friendRequests = { received, sent, friends: user.friends }
+    }
+
+    // New stories and new views of the stories the user may see, plus the IDs still active so
+    // clients can drop deleted ones
+    const storiesFilter = await visibleStoriesFilter(userId, now)
+    const updatedStories = await Story.find({ ...storiesFilter, updatedAt: { $gt: since } })
+      .populate("user", "name avatar avatarMedia avatarPreview")
+      .sort({ updatedAt: 1 })
+    const activeStories = await Story.find(storiesFilter).select("_id")
+
+    res.status(200).json({
+      success: true,
+      messages,
+      receipts,
+      friendRequests,
+      stories: {
+        updated: updatedStories.map((story) => formatStory(story, userId)),
+        activeIds: activeStories.map((story) => story._id),
+      },
+      cursor: nextCursor,
+      hasMore,
+    })
+  } catch (error) {
+    console.error("Sync error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error getting changes",
+      error: error.message,
+    })
+  }
+}
+
+module.exports = {
+  getChanges,
+}
@@ -0,0 +1,327 @@
+const mongoose = require("mongoose")
+const { buffer: readStream } = require("stream/consumers")
+const Media = require("../models/Media")
+const UploadSession = require("../models/UploadSession")
+const { detectFileType } = require("../utils/fileType")
+const {
+  MEDIA_MAX_BYTES,
+  LARGEST_MEDIA_MAX_BYTES,
+  storeMedia,
+  storeMediaStream,
+  removeMedia,
+} = require("../services/mediaService")
+const {
+  CHUNK_MAX_BYTES,
+  createUploadSession,
+  appendChunk,
+  readUploadHead,
+  openUploadStream,
+  completeUploadSession,
+  removeUploadSession,
+} = require("../services/uploadSessionService")
+
+// Bytes read from the start of a file to detect its type
+const FILE_HEAD_BYTES = 8192
+
+// Find one of the current user's upload sessions
+const findOwnSession = (req) => {
+  const { uploadId } = req.params
+  if (!mongoose.Types.ObjectId.isValid(uploadId)) return null
+  return UploadSession.findOne({ _id: uploadId, owner: req.user._id })
+}
+
+// Build the upload state sent to clients
+const formatUpload = (session) => ({
+  _id: session._id,
+  fileName: session.fileName,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  media: session.media,
+  chunkMaxBytes: CHUNK_MAX_BYTES,
+  expiresAt: session.expiresAt,
+})
+
+const uploadNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Upload not found",
+  })
+
+// @desc    Start a resumable upload (body: fileName, size in bytes, checksum as SHA-256 hex)
+// @route   POST /api/media/uploads
+// @access  Private
+const createUpload = async (req, res) => {
+  try {
+    const { fileName, size, checksum } = req.body
+
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "size must be a positive number of bytes",
+      })
+    }
+
+    // The file's kind (and its own limit) is only known once it arrives, reject what no kind allows now
+    if (size > LARGEST_MEDIA_MAX_BYTES) {
+      return res.status(413).json({
+        success: false,
+        message: "File is too large",
+      })
+    }
+
+    if (typeof checksum !== "string" || !/^[a-f0-9]{64}$/i.test(checksum)) {
+      return res.status(400).json({
+        success: false,
+        message: "checksum must be the SHA-256 of the file in hex",
+      })
+    }
+
+    if (fileName !== undefined && fileName !== null && typeof fileName !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "fileName must be a string",
+      })
+    }
+
+    const session = await createUploadSession(req.user._id, { fileName, size, checksum })
+
+    res.status(201).json({
+      success: true,
+      upload: formatUpload(session),
+    })
+  } catch (error) {
+    console.error("Create upload error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error starting upload",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get a resumable upload's state, including the offset to resume from
+// @route   GET /api/media/uploads/:uploadId
+// @access  Private
+const getUpload = async (req, res) => {
+  try {
+    const session = await findOwnSession(req)
+    if (!session) {
+      return uploadNotFound(res)
+    }
+
+    res.status(200).json({
+      success: true,
+      upload: formatUpload(session),
+    })
+  } catch (error) {
+    console.error("Get upload error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error getting upload",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Upload the next chunk of a resumable upload (raw body, starting at the offset)
+// @route   PUT /api/media/uploads/:uploadId?offset=<bytes>
+// @access  Private
+const uploadChunk = async (req, res) => {
+  try {
+    const session = await findOwnSession(req)
+    if (!session) {
+      return uploadNotFound(res)
+    }
+
+    if (session.status !== "active") {
+      return res.status(409).json({
+        success: false,
+        message: "Upload is already finalized",
+        upload: formatUpload(session),
+      })
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Chunk data is required",
+      })
+    }
+
+    // Chunks must continue exactly where the upload stands, a stale offset gets the current one back
+    if (Number(req.query.offset) !== session.offset) {
+      return res.status(409).json({
+        success: false,
+        message: "Offset does not match the upload",
+        upload: formatUpload(session),
+      })
+    }
+
+    if (session.offset + req.body.length > session.size) {
+      return res.status(400).json({
+        success: false,
+        message: "Chunk goes past the end of the file",
+      })
+    }
+
+    const updated = await appendChunk(session, req.body)
+    if (!updated) {
+      const current = await findOwnSession(req)
+      return res.status(409).json({
+        success: false,
+        message: "Offset does not match the upload",
+        upload: current ? formatUpload(current) : null,
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      upload: formatUpload(updated),
+    })
+  } catch (error) {
+    console.error("Upload chunk error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error uploading chunk",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Finalize a fully uploaded file into a media record (its ID works as mediaId for messages and stories)
+// @route   POST /api/media/uploads/:uploadId/complete
+// @access  Private
+const completeUpload = async (req, res) => {
+  try {
+    const session = await findOwnSession(req)
+    if (!session) {
+      return uploadNotFound(res)
+    }
+
+    // Retried finalize requests get the media created the first time
+    if (session.status === "completed") {
+      return res.status(200).json({
+        success: true,
+        upload: formatUpload(session),
+        media: await Media.findById(session.media),
+      })
+    }
+
+    if (session.offset !== session.size) {
+      return res.status(409).json({
+        success: false,
+        message: "Upload is incomplete",
+        upload: formatUpload(session),
+      })
+    }
+
+    const type = detectFileType(await readUploadHead(session, FILE_HEAD_BYTES))
+    if (!type) {
+      await removeUploadSession(session)
+      return res.status(415).json({
+        success: false,
+        message: "Unsupported file type",
+      })
+    }
+
+    const maxBytes = MEDIA_MAX_BYTES[type.kind]
+    if (session.size > maxBytes) {
+      await removeUploadSession(session)
+      return res.status(413).json({
+        success: false,
+        message: `File is too large, ${type.kind} uploads can be at most ${maxBytes} bytes`,
+      })
+    }
+
+    // The file is streamed from its chunks into storage and checked on the way, only images
+    // (which are resized in memory and have a small size limit) are read whole
+    const upload = openUploadStream(session)
+    let media = null
+    try {
+      if (type.kind === "image") {
+        const buffer = await readStream(upload.stream)
+        if (upload.checksum === session.checksum) {
+          media = await storeMedia(req.user._id, buffer, type, session.fileName)
+        }
+      } else {
+        media = await storeMediaStream(req.user._id, upload.stream, session.size, type, session.fileName)
+      }
+    } catch (error) {
+      if (!upload.missingChunks) throw error
+    }
+
+    // A file that doesn't match its checksum can't be trusted, the client has to upload it again
+    if (!media || upload.checksum !== session.checksum) {
+      if (media) await removeMedia(media)
+      await removeUploadSession(session)
+      return res.status(422).json({
+        success: false,
+        message: "Checksum does not match, upload the file again",
+      })
+    }
+
+    const completed = await completeUploadSession(session, media)
+    if (!completed) {
+      // Another request finalized the upload first, answer with its media
+      await removeMedia(media)
+      const current = await findOwnSession(req)
+      if (!current || current.status !== "completed") {
+        return uploadNotFound(res)
+      }
+      return res.status(200).json({
+        success: true,
+        upload: formatUpload(current),
+        media: await Media.findById(current.media),
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      upload: formatUpload(completed),
+      media,
+    })
+  } catch (error) {
+    console.error("Complete upload error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error finalizing upload",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Cancel a resumable upload and drop the chunks received so far
+// @route   DELETE /api/media/uploads/:uploadId
+// @access  Private
+const cancelUpload = async (req, res) => {
+  try {
+    const session = await findOwnSession(req)
+    if (!session) {
+      return uploadNotFound(res)
+    }
+
+    // The media of a finalized upload may already be attached somewhere, it stays
+    await removeUploadSession(session)
+
+    res.status(200).json({
+      success: true,
+      message: "Upload cancelled",
+    })
+  } catch (error) {
+    console.error("Cancel upload error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error cancelling upload",
+      error: error.message,
+    })
+  }
+}
+
+module.exports = {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+  cancelUpload,
+}
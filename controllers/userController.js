@@ -2,6 +2,9 @@ const User = require("../models/User")
 const jwt = require("jsonwebtoken")
 const twilio = require("twilio")
 const { generateUniqueAppId } = require("../utils/appIdGenerator")
+const { resolveMedia } = require("../services/mediaService")
+const { applyBlock } = require("../services/userService")
+const { formatAvatar } = require("../utils/mediaUrls")
 
 
 // Initialize Twilio client with environment variables
@@ -27,7 +30,8 @@ const registerUser = async (req, res) => {
   try {
     console.log("Registration request received:", req.body)
 
-    const { phone, name, age, gender, about, interests, email, password, avatar, latitude, longitude } = req.body
+    // Avatars are uploads, set with avatarMediaId through the profile once the user is verified
+    const { phone, name, age, gender, about, interests, email, password, latitude, longitude } = req.body
 
     // Validate required fields
     if (!phone || !name) {
@@ -91,7 +95,6 @@ const registerUser = async (req, res) => {
       email,
       password,
       appId,
-      avatar,
       location,
       isVerified: false,
     })
@@ -206,7 +209,7 @@ const verifyOTP = async (req, res) => {
         name: user.name,
         email: user.email,
         appId: user.appId,
-        avatar: user.avatar,
+        ...formatAvatar(user),
         age: user.age,
         gender: user.gender,
         status: user.status,
@@ -364,7 +367,7 @@ const loginUser = async (req, res) => {
             name: user.name,
             email: user.email,
             appId: user.appId,
-            avatar: user.avatar,
+            ...formatAvatar(user),
             age: user.age,
             gender: user.gender,
             status: user.status,
@@ -459,7 +462,19 @@ const getUserProfile = async (req, res) => {
 // @access  Private
 const updateUserProfile = async (req, res) => {
   try {
-    const { name, avatar, age, gender, about, interests, theme, customBackground, email, password } = req.body
+    const {
+      name,
+      avatarMediaId,
+      age,
+      gender,
+      about,
+      interests,
+      theme,
+      customBackground,
+      email,
+      password,
+      messagePrivacy,
+    } = req.body
 
     const user = await User.findById(req.user.id)
 
@@ -472,7 +487,6 @@ const updateUserProfile = async (req, res) => {
 
     // Update fields if provided
     if (name) user.name = name
-    if (avatar) user.avatar = avatar
     if (age) user.age = age
     if (gender) user.gender = gender
     if (about !== undefined) user.about = about
@@ -480,6 +494,37 @@ const updateUserProfile = async (req, res) => {
     if (theme) user.theme = theme
     if (customBackground !== undefined) user.customBackground = customBackground
 
+    // Avatars are one of the user's image uploads, null removes the avatar
+    if (avatarMediaId !== undefined) {
+      if (avatarMediaId === null) {
+        user.avatar = ""
+        user.avatarMedia = null
+        user.avatarPreview = null
+      } else {
+        const { media, error } = await resolveMedia(avatarMediaId, user._id, ["image"])
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
+          })
+        }
+        user.avatar = media.url
+        user.avatarMedia = media._id
+        user.avatarPreview = media.preview
+      }
+    }
+
+    // Who can message the user directly, anyone else lands in message requests
+    if (messagePrivacy !== undefined) {
+      if (!["everyone", "friends", "friendsAndContacts"].includes(messagePrivacy)) {
+        return res.status(400).json({
+          success: false,
+          message: "messagePrivacy must be everyone, friends or friendsAndContacts",
+        })
+      }
+      user.messagePrivacy = messagePrivacy
+    }
+
     // Update email if provided and not already taken
     if (email && email !== user.email) {
       const emailExists = await User.findOne({ email })
@@ -508,7 +553,8 @@ const updateUserProfile = async (req, res) => {
         name: updatedUser.name,
         email: updatedUser.email,
         appId: updatedUser.appId,
-        avatar: updatedUser.avatar,
+        avatarMedia: updatedUser.avatarMedia,
+        ...formatAvatar(updatedUser),
         age: updatedUser.age,
         gender: updatedUser.gender,
         about: updatedUser.about,
@@ -516,6 +562,7 @@ const updateUserProfile = async (req, res) => {
         status: updatedUser.status,
         theme: updatedUser.theme,
         customBackground: updatedUser.customBackground,
+        messagePrivacy: updatedUser.messagePrivacy,
       },
     })
   } catch (error) {
@@ -823,11 +870,14 @@ const getFriendRequests = async (req, res) => {
     // Fetch received friend requests
     const receivedRequests = await User.find(
       { _id: { $in: user.receivedFriendRequests || [] } },
-      "name avatar status",
-    ).lean()
+      "name avatar avatarMedia avatarPreview status",
+    )
 
     // Fetch sent friend requests
-    const sentRequests = await User.find({ _id: { $in: user.sentFriendRequests || [] } }, "name avatar status").lean()
+    const sentRequests = await User.find(
+      { _id: { $in: user.sentFriendRequests || [] } },
+      "name avatar avatarMedia avatarPreview status",
+    )
 
     res.status(200).json({
       success: true,
@@ -860,7 +910,10 @@ const getFriends = async (req, res) => {
     }
 
     // Fetch friends
-    const friends = await User.find({ _id: { $in: user.friends || [] } }, "name avatar status lastSeen").lean()
+    const friends = await User.find(
+      { _id: { $in: user.friends || [] } },
+      "name avatar avatarMedia avatarPreview status lastSeen",
+    )
 
     res.status(200).json({
       success: true,
@@ -982,30 +1035,8 @@ const blockUser = async (req, res) => {
       })
     }
 
-    user.blockedUsers.push(userId)
-
-    // Remove from contacts if present
-    user.contacts = user.contacts.filter((contact) => contact.toString() !== userId)
-
-    // Remove from friends if present
-    user.friends = user.friends.filter((friend) => friend.toString() !== userId)
-
-    // Remove from friend requests if present
-    user.receivedFriendRequests = user.receivedFriendRequests.filter((id) => id.toString() !== userId)
-    user.sentFriendRequests = user.sentFriendRequests.filter((id) => id.toString() !== userId)
-
-    await user.save()
-
-    // Also remove the current user from the blocked user's friends/requests
-    const blockedUser = await User.findById(userId)
-    if (blockedUser) {
-      blockedUser.friends = blockedUser.friends.filter((friend) => friend.toString() !== req.user.id)
-      blockedUser.receivedFriendRequests = blockedUser.receivedFriendRequests.filter(
-        (id) => id.toString() !== req.user.id,
-      )
-      blockedUser.sentFriendRequests = blockedUser.sentFriendRequests.filter((id) => id.toString() !== req.user.id)
-      await blockedUser.save()
-    }
+    // Also drops them from contacts, friends and friend requests and stops live location sharing
+    await applyBlock(req.app.get("io"), user, userId)
 
     res.status(200).json({
       success: true,
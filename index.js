@@ -4,15 +4,34 @@ const cors = require("cors")
 const dotenv = require("dotenv")
 const http = require("http")
 const socketIo = require("socket.io")
+
+// Load environment variables, before the modules below read their settings
+dotenv.config()
+
 const userRoutes = require("./routes/userRoutes")
 const messageRoutes = require("./routes/messageRoutes")
 const nearbyRoutes = require("./routes/nearbyRoutes")
 const storyRoutes = require("./routes/storyRoutes")
+const groupRoutes = require("./routes/groupRoutes")
+const liveLocationRoutes = require("./routes/liveLocationRoutes")
+const syncRoutes = require("./routes/syncRoutes")
+const mediaRoutes = require("./routes/mediaRoutes")
 const User = require("./models/User")
 const Message = require("./models/Message")
-
-// Load environment variables
-dotenv.config()
+const Group = require("./models/Group")
+const {
+  sendChatMessage,
+  canAccessMessage,
+  editChatMessage,
+  deleteChatMessage,
+  toggleReaction,
+  readChatMessage,
+  markVoiceNotePlayed,
+} = require("./services/messageService")
+const { startMessageScheduler } = require("./services/messageScheduler")
+const { streamLocationUpdate, startLiveLocationSweeper } = require("./services/liveLocationService")
+const { startUploadCleanup } = require("./services/uploadSessionService")
+const { startExpiredMessageSweeper } = require("./services/conversationService")
 
 // Initialize Express app
 const app = express()
@@ -28,6 +47,9 @@ const io = socketIo(server, {
   transports: ["websocket", "polling"], // Support both transport methods
 })
 
+// Make io available to controllers through req.app.get("io")
+app.set("io", io)
+
 // Middleware
 app.use(
   cors({
@@ -42,7 +64,17 @@ app.use(express.urlencoded({ extended: true, limit: "50mb" }))
 // Connect to MongoDB
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log(`MongoDB Connected: ${mongoose.connection.host}`))
+  .then(() => {
+    console.log(`MongoDB Connected: ${mongoose.connection.host}`)
+
+    // Start the background jobs, they also catch up on work that came due while the server was down:
+    // dispatching scheduled messages, ending expired live locations, removing disappeared messages
+    // and removing abandoned uploads
+    startMessageScheduler(io)
+    startLiveLocationSweeper(io)
+    startExpiredMessageSweeper()
+    startUploadCleanup()
+  })
   .catch((error) => {
     console.error(`Error connecting to MongoDB: ${error.message}`)
     process.exit(1)
@@ -53,6 +85,10 @@ app.use("/api/users", userRoutes)
 app.use("/api/messages", messageRoutes)
 app.use("/api/nearby", nearbyRoutes)
 app.use("/api/stories", storyRoutes)
+app.use("/api/groups", groupRoutes)
+app.use("/api/live-locations", liveLocationRoutes)
+app.use("/api/sync", syncRoutes)
+app.use("/api/media", mediaRoutes)
 
 // Test route
 app.get("/test", (req, res) => {
@@ -66,8 +102,8 @@ io.on("connection", (socket) => {
   // Store user ID in socket for later use
   let currentUserId = null
 
-  // Join a room (for private messaging)
-  socket.on("join", (userId) => {
+  // Join a room (for private messaging) and the rooms of every group the user belongs to
+  socket.on("join", async (userId) => {
     if (userId) {
       socket.join(userId)
       currentUserId = userId
@@ -78,63 +114,113 @@ io.on("connection", (socket) => {
 
       // Broadcast to all users that this user is online
       socket.broadcast.emit("userStatusUpdate", { userId, status: "online" })
+
+      try {
+        const groups = await Group.find({ members: userId }).select("_id")
+        groups.forEach((group) => socket.join(group._id.toString()))
+      } catch (error) {
+        console.error("Error joining group rooms:", error)
+      }
+    }
+  })
+
+  // Join a single group room. Adding or removing members through the API already moves the members'
+  // connected sockets in or out of the room
+  socket.on("joinGroup", async (groupId) => {
+    try {
+      if (!currentUserId || !groupId) return
+
+      const group = await Group.findById(groupId)
+      if (group && group.isMember(currentUserId)) {
+        socket.join(groupId)
+      }
+    } catch (error) {
+      console.error("Error joining group room:", error)
+    }
+  })
+
+  // Leave a single group room
+  socket.on("leaveGroup", (groupId) => {
+    if (groupId) {
+      socket.leave(groupId)
     }
   })
 
   // Handle new messages
-  socket.on("sendMessage", async (messageData) => {
+  // The optional acknowledgement callback receives { success, messageId, clientMessageId, duplicate }
+  // or { success: false, message } so clients can safely retry with the same clientMessageId
+  socket.on("sendMessage", async (messageData, ack) => {
+    const respond = typeof ack === "function" ? ack : () => {}
+
     try {
       console.log("Received message data:", messageData)
 
-      const { sender, receiver, text, messageType, mediaUrl, replyTo, oneTimeView } = messageData
-
-      if (!sender || !receiver || !text) {
-        socket.emit("messageError", { message: "Missing required fields" })
+      // System messages are only created by the server
+      if (messageData.messageType === "system") {
+        socket.emit("messageError", { message: "Invalid message type" })
+        respond({ success: false, message: "Invalid message type" })
         return
       }
 
-      // Check if receiver has blocked sender
-      const receiverUser = await User.findById(receiver)
-      if (receiverUser && receiverUser.blockedUsers.includes(sender)) {
-        socket.emit("messageError", { message: "Cannot send message to this user" })
+      // Voice note metadata is only computed by the server from uploads (POST /api/messages/voice),
+      // files are attached by mediaId so clients can't point messages at arbitrary URLs, forwards
+      // only come from POST /api/messages/:messageId/forward and live locations from POST /api/live-locations
+      const { message, duplicate, error } = await sendChatMessage(io, {
+        ...messageData,
+        voiceNote: null,
+        media: null,
+        mediaUrl: null,
+        mediaPreview: null,
+        forwardedFrom: null,
+        forwardCount: 0,
+        liveLocation: null,
+      })
+      if (error) {
+        socket.emit("messageError", { message: error })
+        respond({ success: false, message: error })
         return
       }
 
-      // Create new message in database
-      const newMessage = new Message({
-        sender,
-        receiver,
-        text,
-        messageType: messageType || "text",
-        mediaUrl: mediaUrl || null,
-        replyTo: replyTo || null,
-        oneTimeView: oneTimeView || false,
+      respond({
+        success: true,
+        messageId: message._id,
+        clientMessageId: message.clientMessageId || null,
+        duplicate,
       })
+    } catch (error) {
+      console.error("Error handling message:", error)
+      socket.emit("messageError", { message: "Failed to send message", error: error.message })
+      respond({ success: false, message: "Failed to send message" })
+    }
+  })
 
-      // Save message to database
-      const savedMessage = await newMessage.save()
-      console.log("Message saved to database:", savedMessage._id)
-
-      // Populate sender and receiver info
-      const populatedMessage = await Message.findById(savedMessage._id)
-        .populate("sender", "name avatar")
-        .populate("receiver", "name avatar")
-        .populate({
-          path: "replyTo",
-          populate: {
-            path: "sender",
-            select: "name avatar",
-          },
-        })
+  // Handle message edit
+  socket.on("editMessage", async (data) => {
+    try {
+      const { messageId, editorId, text } = data
+
+      if (!messageId || !editorId || !text || !text.trim()) {
+        socket.emit("messageError", { message: "Missing required fields" })
+        return
+      }
+
+      const message = await Message.findById(messageId)
+      // Only text messages can be edited, like PUT /api/messages/:messageId
+      if (!message || message.sender.toString() !== editorId || message.isDeleted || message.messageType !== "text") {
+        socket.emit("messageError", { message: "Cannot edit this message" })
+        return
+      }
 
-      // Emit to sender and receiver
-      io.to(sender).emit("newMessage", populatedMessage)
-      io.to(receiver).emit("newMessage", populatedMessage)
+      if (!message.isWithinEditWindow()) {
+        socket.emit("messageError", { message: "This message can no longer be edited" })
+        return
+      }
 
-      console.log("Message emitted to sender and receiver")
+      // Notify sender's other devices and the counterpart (or the whole group)
+      await editChatMessage(io, message, text)
     } catch (error) {
-      console.error("Error handling message:", error)
-      socket.emit("messageError", { message: "Failed to send message", error: error.message })
+      console.error("Error editing message:", error)
+      socket.emit("messageError", { message: "Failed to edit message", error: error.message })
     }
   })
 
@@ -232,6 +318,9 @@ io.on("connection", (socket) => {
         })
 
         console.log(`Location updated for user ${userId}`)
+
+        // Stream the new position to every chat the user is sharing live location with
+        await streamLocationUpdate(io, userId, longitude, latitude)
       }
     } catch (error) {
       console.error("Error updating location:", error)
@@ -244,24 +333,68 @@ io.on("connection", (socket) => {
       const { messageId, readerId } = data
 
       const message = await Message.findById(messageId)
-      if (message && message.receiver.toString() === readerId) {
-        message.isRead = true
-        message.readAt = new Date()
+      if (!message) return
 
-        if (message.oneTimeView) {
-          message.viewed = true
-        }
+      // Update status and notify sender that message was read
+      await readChatMessage(io, message, readerId)
+    } catch (error) {
+      console.error("Error marking message as read:", error)
+    }
+  })
 
-        await message.save()
+  // Handle voice note playback, the sender is notified with "voiceNotePlayed"
+  socket.on("markVoiceNotePlayed", async (data) => {
+    try {
+      const { messageId, userId } = data
 
-        // Notify sender that message was read
-        socket.to(message.sender.toString()).emit("messageReadUpdate", {
-          messageId,
-          readAt: message.readAt,
-        })
+      const message = await Message.findById(messageId)
+      if (!message) return
+
+      await markVoiceNotePlayed(io, message, userId)
+    } catch (error) {
+      console.error("Error marking voice note as played:", error)
+    }
+  })
+
+  // Handle message deletion, for everyone (sender only) or just for the user
+  socket.on("deleteMessage", async (data) => {
+    try {
+      const { messageId, userId, deleteForEveryone } = data
+
+      const message = await Message.findById(messageId)
+      if (!message || !(await canAccessMessage(message, userId))) {
+        socket.emit("messageError", { message: "Cannot delete this message" })
+        return
       }
+
+      const isSender = message.sender.toString() === userId
+      await deleteChatMessage(io, message, userId, Boolean(deleteForEveryone) && isSender)
     } catch (error) {
-      console.error("Error marking message as read:", error)
+      console.error("Error deleting message:", error)
+      socket.emit("messageError", { message: "Failed to delete message", error: error.message })
+    }
+  })
+
+  // Handle reaction toggle
+  socket.on("toggleReaction", async (data) => {
+    try {
+      const { messageId, userId, emoji } = data
+
+      if (!messageId || !userId || !emoji) {
+        socket.emit("messageError", { message: "Missing required fields" })
+        return
+      }
+
+      const message = await Message.findById(messageId)
+      if (!message || !(await canAccessMessage(message, userId))) {
+        socket.emit("messageError", { message: "Cannot react to this message" })
+        return
+      }
+
+      await toggleReaction(io, message, userId, emoji)
+    } catch (error) {
+      console.error("Error toggling reaction:", error)
+      socket.emit("messageError", { message: "Failed to update reaction", error: error.message })
     }
   })
 
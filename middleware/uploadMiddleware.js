@@ -0,0 +1,52 @@
+const express = require("express")
+const multer = require("multer")
+const { LARGEST_MEDIA_MAX_BYTES } = require("../services/mediaService")
+const { CHUNK_MAX_BYTES } = require("../services/uploadSessionService")
+
+// Default largest voice note upload, overridable with VOICE_NOTE_MAX_BYTES
+const DEFAULT_VOICE_NOTE_MAX_BYTES = 10 * 1024 * 1024
+
+const VOICE_NOTE_MAX_BYTES = Number.parseInt(process.env.VOICE_NOTE_MAX_BYTES) || DEFAULT_VOICE_NOTE_MAX_BYTES
+
+// Run a multer handler, answering upload errors (like oversized files) with a JSON error
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400
+      return res
+        .status(status)
+        .json({ message: error.code === "LIMIT_FILE_SIZE" ? "File is too large" : error.message })
+    }
+    next(error)
+  })
+}
+
+// Voice notes are kept in memory so the audio can be analyzed before it is stored
+const uploadVoiceNote = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: VOICE_NOTE_MAX_BYTES, files: 1 },
+  }).single("audio"),
+)
+
+// Media uploads are also kept in memory, their real type decides the size limit checked afterwards
+const uploadMedia = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: LARGEST_MEDIA_MAX_BYTES, files: 1 },
+  }).single("file"),
+)
+
+// Resumable upload chunks arrive as the raw request body, whatever its content type
+const parseChunk = express.raw({ type: () => true, limit: CHUNK_MAX_BYTES })
+
+const receiveChunk = (req, res, next) => {
+  parseChunk(req, res, (error) => {
+    if (error && error.type === "entity.too.large") {
+      return res.status(413).json({ message: "Chunk is too large" })
+    }
+    next(error)
+  })
+}
+
+module.exports = { uploadVoiceNote, uploadMedia, receiveChunk }
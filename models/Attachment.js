@@ -0,0 +1,68 @@
+const mongoose = require("mongoose")
+const ImagePreviewSchema = require("./ImagePreview")
+const { formatAvatar, formatAttachmentUrls } = require("../utils/mediaUrls")
+
+/**
+ * Schema plugins for documents showing uploaded files (POST /api/media).
+ *
+ * Both keep the media record, its stored URL and, for images, the dimensions,
+ * placeholder and resized variants. Clients never get the stored URLs, the
+ * JSON sent to them carries signed URLs of the media record instead.
+ */
+
+// A file attached to a message, scheduled message or story
+const attachmentPlugin = (schema) => {
+  schema.add({
+    media: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+      default: null,
+    },
+    mediaUrl: {
+      type: String,
+      default: null,
+    },
+    mediaPreview: {
+      type: ImagePreviewSchema,
+      default: null,
+    },
+  })
+
+  schema.set("toJSON", {
+    transform: (doc, ret) => {
+      if ("mediaUrl" in ret) Object.assign(ret, formatAttachmentUrls(ret))
+      return ret
+    },
+  })
+}
+
+// The avatar of a user or group
+const avatarPlugin = (schema) => {
+  schema.add({
+    avatar: {
+      type: String,
+      default: "",
+    },
+    avatarMedia: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+      default: null,
+    },
+    avatarPreview: {
+      type: ImagePreviewSchema,
+      default: null,
+    },
+  })
+
+  schema.set("toJSON", {
+    transform: (doc, ret) => {
+      if ("avatar" in ret) Object.assign(ret, formatAvatar(ret))
+      return ret
+    },
+  })
+}
+
+module.exports = {
+  attachmentPlugin,
+  avatarPlugin,
+}
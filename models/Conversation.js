@@ -0,0 +1,121 @@
+const mongoose = require("mongoose")
+
+// Shared state of a one-to-one conversation (group state lives on Group)
+const ConversationSchema = new mongoose.Schema(
+  {
+    // Sorted "<userId>:<userId>" pair, unique per conversation
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    participants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Denormalized summary for the chat list, kept in sync by services/conversationService
+    lastMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: null,
+    },
+    // Unread message count per user ID
+    unreadCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Messages pinned to the top of the conversation, visible to every participant
+    pinnedMessages: [
+      {
+        message: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Message",
+        },
+        pinnedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        pinnedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    disappearingTimer: {
+      type: String,
+      enum: ["off", "24h", "7d", "90d"],
+      default: "off",
+    },
+    disappearingUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    disappearingUpdatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Message request state when the first message came from someone the receiver
+    // doesn't accept messages from (see User.messagePrivacy)
+    requestStatus: {
+      type: String,
+      enum: ["none", "pending", "accepted", "declined"],
+      default: "none",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    requestRespondedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for the chat list, most recent activity first
+ConversationSchema.index({ participants: 1, lastMessageAt: -1, _id: -1 })
+
+// Check if a user has an unanswered (or declined) message request in this conversation
+ConversationSchema.methods.isRequestFor = function (userId) {
+  return (
+    ["pending", "declined"].includes(this.requestStatus) &&
+    Boolean(this.requestedBy) &&
+    this.requestedBy.toString() !== userId.toString()
+  )
+}
+
+// Build the conversation key for two users, independent of order
+ConversationSchema.statics.keyFor = function (userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join(":")
+}
+
+// Find a conversation without creating it
+ConversationSchema.statics.findBetween = function (userA, userB) {
+  return this.findOne({ key: this.keyFor(userA, userB) })
+}
+
+// Find a conversation, creating it on first use
+ConversationSchema.statics.findOrCreate = function (userA, userB) {
+  const key = this.keyFor(userA, userB)
+  return this.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { key, participants: key.split(":") } },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  )
+}
+
+const Conversation = mongoose.model("Conversation", ConversationSchema)
+
+module.exports = Conversation
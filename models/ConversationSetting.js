@@ -0,0 +1,61 @@
+const mongoose = require("mongoose")
+
+// One user's private preferences for a one-to-one or group conversation
+const ConversationSettingSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The other user in a one-to-one conversation
+    peer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    mutedUntil: {
+      type: Date,
+      default: null,
+    },
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+    // Set manually by the user, cleared when they open the conversation
+    markedUnread: {
+      type: Boolean,
+      default: false,
+    },
+    // Overrides User.customBackground for this conversation
+    wallpaper: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// One settings document per user per conversation
+ConversationSettingSchema.index({ user: 1, peer: 1, group: 1 }, { unique: true })
+
+// Method to check if notifications are currently muted
+ConversationSettingSchema.methods.isMuted = function () {
+  return Boolean(this.mutedUntil && this.mutedUntil > new Date())
+}
+
+// Build the filter for a user's settings in a conversation
+ConversationSettingSchema.statics.filterFor = function (userId, { peer, group }) {
+  return { user: userId, peer: group ? null : peer, group: group || null }
+}
+
+const ConversationSetting = mongoose.model("ConversationSetting", ConversationSettingSchema)
+
+module.exports = ConversationSetting
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose")
+const { avatarPlugin } = require("./Attachment")
+
+const GroupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      default: "",
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    members: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Admins are always a subset of members
+    admins: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Denormalized summary for the chat list, kept in sync by services/conversationService
+    lastMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: null,
+    },
+    // Unread message count per user ID
+    unreadCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Messages pinned to the top of the conversation, visible to every participant
+    pinnedMessages: [
+      {
+        message: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Message",
+        },
+        pinnedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        pinnedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    disappearingTimer: {
+      type: String,
+      enum: ["off", "24h", "7d", "90d"],
+      default: "off",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Avatar upload, see models/Attachment.js
+GroupSchema.plugin(avatarPlugin)
+
+// Index for listing the groups a user belongs to, most recent activity first
+GroupSchema.index({ members: 1, lastMessageAt: -1 })
+
+// Method to check if a user is a member
+GroupSchema.methods.isMember = function (userId) {
+  return this.members.some((member) => member.toString() === userId.toString())
+}
+
+// Method to check if a user is an admin
+GroupSchema.methods.isAdmin = function (userId) {
+  return this.admins.some((admin) => admin.toString() === userId.toString())
+}
+
+const Group = mongoose.model("Group", GroupSchema)
+
+module.exports = Group
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose")
+
+// A resized copy of an image, at most `size` pixels on its longest side
+const ImageVariantSchema = new mongoose.Schema(
+  {
+    size: {
+      type: Number,
+      required: true,
+    },
+    width: {
+      type: Number,
+      required: true,
+    },
+    height: {
+      type: Number,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false },
+)
+
+// Dimensions, blur placeholder and variants of an uploaded image, copied onto
+// the messages, stories and users showing it so clients can render it progressively
+const ImagePreviewSchema = new mongoose.Schema(
+  {
+    width: {
+      type: Number,
+      required: true,
+    },
+    height: {
+      type: Number,
+      required: true,
+    },
+    // Tiny blurred image as a data URI, shown while a variant loads
+    placeholder: {
+      type: String,
+      default: null,
+    },
+    // Smallest first, images smaller than a variant size don't get that variant
+    variants: {
+      type: [ImageVariantSchema],
+      default: [],
+    },
+  },
+  { _id: false },
+)
+
+module.exports = ImagePreviewSchema
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose")
+
+const LiveLocationSessionSchema = new mongoose.Schema(
+  {
+    sharer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The chat the location is shared with: a user or a group
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    duration: {
+      type: String,
+      enum: ["15m", "1h", "8h"],
+      required: true,
+    },
+    // The chat message announcing the share
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    lastLocation: {
+      type: {
+        type: String,
+        enum: ["Point"],
+        default: "Point",
+      },
+      coordinates: {
+        type: [Number],
+        default: [0, 0],
+      },
+    },
+    lastUpdatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the sharer stops sharing or the session expires
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for streaming updates to a sharer's active sessions
+LiveLocationSessionSchema.index({ sharer: 1, endedAt: 1 })
+
+// Index for the sweeper ending expired sessions
+LiveLocationSessionSchema.index({ endedAt: 1, expiresAt: 1 })
+
+// Method to check if the session is still live
+LiveLocationSessionSchema.methods.isActive = function () {
+  return !this.endedAt && this.expiresAt > new Date()
+}
+
+const LiveLocationSession = mongoose.model("LiveLocationSession", LiveLocationSessionSchema)
+
+module.exports = LiveLocationSession
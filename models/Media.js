@@ -0,0 +1,66 @@
+const mongoose = require("mongoose")
+const ImagePreviewSchema = require("./ImagePreview")
+const { formatMediaUrls } = require("../utils/mediaUrls")
+
+// An uploaded file, referenced by messages, stories and profiles instead of a raw URL
+const MediaSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Detected from the file contents, not from what the client claims
+    kind: {
+      type: String,
+      enum: ["image", "video", "audio", "document"],
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    extension: {
+      type: String,
+      required: true,
+    },
+    // Size in bytes
+    size: {
+      type: Number,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    // Set for images, null when the image couldn't be resized
+    preview: {
+      type: ImagePreviewSchema,
+      default: null,
+    },
+    // File name on the uploader's device, shown for documents
+    originalName: {
+      type: String,
+      default: null,
+      maxlength: 255,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for listing a user's uploads
+MediaSchema.index({ owner: 1, createdAt: -1 })
+
+// Clients get signed URLs of the file and its variants, never the stored file URLs
+MediaSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    if ("url" in ret) Object.assign(ret, formatMediaUrls(ret._id, ret.url, ret.preview))
+    return ret
+  },
+})
+
+const Media = mongoose.model("Media", MediaSchema)
+
+module.exports = Media
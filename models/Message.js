@@ -1,4 +1,68 @@
 const mongoose = require("mongoose")
+const { attachmentPlugin } = require("./Attachment")
+
+// Poll options keep their _id so votes can reference them
+const PollOptionSchema = new mongoose.Schema({
+  text: String,
+  voters: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+})
+
+const PollSchema = new mongoose.Schema(
+  {
+    question: String,
+    options: [PollOptionSchema],
+    allowMultiple: {
+      type: Boolean,
+      default: false,
+    },
+    closesAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false },
+)
+
+// A mentioned user and where the mention sits in the message text
+const MentionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    offset: Number,
+    length: Number,
+  },
+  { _id: false },
+)
+
+// Server-computed metadata of a voice note, plus who has played it
+const VoiceNoteSchema = new mongoose.Schema(
+  {
+    // Length in seconds
+    duration: Number,
+    // Peaks scaled 0-100 for drawing the waveform
+    waveform: [Number],
+    playedBy: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        playedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { _id: false },
+)
 
 const MessageSchema = new mongoose.Schema(
   {
@@ -7,22 +71,63 @@ const MessageSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // One-to-one messages have a receiver, group messages have a group instead
     receiver: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.group
+      },
+      default: null,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    // Generated by the sending client so retried sends are not saved twice
+    clientMessageId: {
+      type: String,
+      default: undefined,
     },
     text: {
       type: String,
       required: true,
     },
+    // Users mentioned with @name or @appId, parsed by the server
+    mentions: {
+      type: [MentionSchema],
+      default: [],
+    },
     messageType: {
       type: String,
-      enum: ["text", "image", "video", "audio", "document", "location"],
+      enum: ["text", "image", "video", "audio", "document", "location", "poll", "system"],
       default: "text",
     },
-    mediaUrl: {
+    // Set for location messages that announce a live location session
+    liveLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LiveLocationSession",
+      default: null,
+    },
+    // Only set for poll messages
+    poll: {
+      type: PollSchema,
+      default: null,
+    },
+    // Only set for audio messages recorded as voice notes
+    voiceNote: {
+      type: VoiceNoteSchema,
+      default: null,
+    },
+    // Receipt lifecycle for one-to-one messages: sent -> delivered -> read
+    status: {
       type: String,
+      enum: ["sent", "delivered", "read"],
+      default: "sent",
+    },
+    deliveredAt: {
+      type: Date,
       default: null,
     },
     isRead: {
@@ -33,6 +138,19 @@ const MessageSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Per-member read tracking for group messages
+    readBy: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        readAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     reactions: [
       {
         user: {
@@ -47,6 +165,20 @@ const MessageSchema = new mongoose.Schema(
       ref: "Message",
       default: null,
     },
+    // Forward provenance: the original message and how many hops it has been forwarded
+    isForwarded: {
+      type: Boolean,
+      default: false,
+    },
+    forwardedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    forwardCount: {
+      type: Number,
+      default: 0,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
@@ -69,6 +201,23 @@ const MessageSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Set for messages sent while disappearing messages are on
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the sender edits the message text
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Prior versions of the text, oldest first
+    editHistory: [
+      {
+        text: String,
+        writtenAt: Date,
+      },
+    ],
   },
   {
     timestamps: true,
@@ -78,6 +227,55 @@ const MessageSchema = new mongoose.Schema(
 // Create compound index for efficient chat history queries
 MessageSchema.index({ sender: 1, receiver: 1, timestamp: -1 })
 
+// Index for group chat history queries
+MessageSchema.index({ group: 1, timestamp: -1 })
+
+// Index for finding messages still waiting for a delivery or read receipt
+MessageSchema.index({ receiver: 1, status: 1 })
+
+// Index for disappearing messages, removed once expired by the sweeper in services/conversationService (TTL as a fallback)
+MessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Text index for message search
+MessageSchema.index({ text: "text" })
+
+// Index for listing the messages that mention a user
+MessageSchema.index({ "mentions.user": 1, timestamp: -1 })
+
+// One message per client-generated ID per sender (messages without one are not indexed)
+MessageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: "string" } } },
+)
+
+// Indexes for delta sync (everything changed in a user's chats since a point in time)
+MessageSchema.index({ sender: 1, updatedAt: 1, _id: 1 })
+MessageSchema.index({ receiver: 1, updatedAt: 1, _id: 1 })
+MessageSchema.index({ group: 1, updatedAt: 1, _id: 1 })
+
+// Default edit window, overridable with MESSAGE_EDIT_WINDOW_MINUTES
+const DEFAULT_EDIT_WINDOW_MINUTES = 15
+
+// Method to check if the message can still be edited
+MessageSchema.methods.isWithinEditWindow = function () {
+  const windowMinutes = Number.parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || DEFAULT_EDIT_WINDOW_MINUTES
+  return Date.now() - new Date(this.timestamp).getTime() <= windowMinutes * 60 * 1000
+}
+
+// Method to replace the text, keeping the previous version in the history
+MessageSchema.methods.applyEdit = function (text) {
+  this.editHistory.push({
+    text: this.text,
+    writtenAt: this.editedAt || this.timestamp,
+  })
+
+  this.text = text
+  this.editedAt = new Date()
+}
+
+// Uploaded file, see models/Attachment.js
+MessageSchema.plugin(attachmentPlugin)
+
 const Message = mongoose.model("Message", MessageSchema)
 
 module.exports = Message
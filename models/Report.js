@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+
+// A user reported by another user, for moderators to review
+const ReportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reportedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Where the report was made from
+    source: {
+      type: String,
+      enum: ["messageRequest"],
+      default: "messageRequest",
+    },
+    reason: {
+      type: String,
+      default: "",
+      maxlength: 500,
+    },
+    // Messages the report is about
+    messages: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message",
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["open", "reviewed", "dismissed"],
+      default: "open",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for moderators working through open reports
+ReportSchema.index({ status: 1, createdAt: 1 })
+
+const Report = mongoose.model("Report", ReportSchema)
+
+module.exports = Report
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose")
+const { attachmentPlugin } = require("./Attachment")
+
+const ScheduledMessageSchema = new mongoose.Schema(
+  {
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    // Generated by the sending client so retried requests are not scheduled twice
+    clientMessageId: {
+      type: String,
+      default: undefined,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    messageType: {
+      type: String,
+      default: "text",
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    oneTimeView: {
+      type: Boolean,
+      default: false,
+    },
+    scheduledAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "sent", "cancelled", "failed"],
+      default: "pending",
+    },
+    // The message created when this was dispatched
+    sentMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for the dispatcher picking up due messages
+ScheduledMessageSchema.index({ status: 1, scheduledAt: 1 })
+
+// Index for listing a user's scheduled messages
+ScheduledMessageSchema.index({ sender: 1, status: 1, scheduledAt: 1 })
+
+// One scheduled message per client-generated ID per sender
+ScheduledMessageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: "string" } } },
+)
+
+// Uploaded file, see models/Attachment.js
+ScheduledMessageSchema.plugin(attachmentPlugin)
+
+const ScheduledMessage = mongoose.model("ScheduledMessage", ScheduledMessageSchema)
+
+module.exports = ScheduledMessage
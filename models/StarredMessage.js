@@ -0,0 +1,30 @@
+const mongoose = require("mongoose")
+
+// Messages a user has starred, kept private to that user
+const StarredMessageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// A message can only be starred once per user
+StarredMessageSchema.index({ user: 1, message: 1 }, { unique: true })
+
+// Index for listing a user's starred messages, newest first
+StarredMessageSchema.index({ user: 1, createdAt: -1 })
+
+const StarredMessage = mongoose.model("StarredMessage", StarredMessageSchema)
+
+module.exports = StarredMessage
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const { attachmentPlugin } = require("./Attachment")
 
 const storySchema = new mongoose.Schema(
   {
@@ -16,9 +17,6 @@ const storySchema = new mongoose.Schema(
       enum: ["text", "image", "video", "audio"],
       default: "text",
     },
-    mediaUrl: {
-      type: String,
-    },
     music: {
       type: String,
     },
@@ -53,4 +51,10 @@ const storySchema = new mongoose.Schema(
 // Índice para expiración automática (opcional, si usas MongoDB TTL)
 storySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
 
+// Index for delta sync of story updates
+storySchema.index({ updatedAt: 1 })
+
+// Uploaded file, see models/Attachment.js
+storySchema.plugin(attachmentPlugin)
+
 module.exports = mongoose.model("Story", storySchema)
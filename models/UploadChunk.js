@@ -0,0 +1,26 @@
+const mongoose = require("mongoose")
+
+// A piece of a resumable upload, kept in MongoDB so any server instance can receive the next one
+const UploadChunkSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "UploadSession",
+    required: true,
+  },
+  // Position of the chunk's first byte in the file
+  offset: {
+    type: Number,
+    required: true,
+  },
+  data: {
+    type: Buffer,
+    required: true,
+  },
+})
+
+// One chunk per position, a retry after a failed request replaces the chunk left at the offset
+UploadChunkSchema.index({ session: 1, offset: 1 }, { unique: true })
+
+const UploadChunk = mongoose.model("UploadChunk", UploadChunkSchema)
+
+module.exports = UploadChunk
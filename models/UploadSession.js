@@ -0,0 +1,59 @@
+const mongoose = require("mongoose")
+
+// A resumable upload: the client sends the file in chunks, then finalizes it into a media record
+const UploadSessionSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // File name on the uploader's device
+    fileName: {
+      type: String,
+      default: null,
+      maxlength: 255,
+    },
+    // Size of the whole file in bytes
+    size: {
+      type: Number,
+      required: true,
+    },
+    // SHA-256 of the whole file (hex), checked when the upload is finalized
+    checksum: {
+      type: String,
+      required: true,
+    },
+    // Bytes received so far, the next chunk must start here
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed"],
+      default: "active",
+    },
+    // The media record created when the upload is finalized
+    media: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+      default: null,
+    },
+    // Pushed back by every chunk, abandoned sessions are removed after this
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for finding abandoned sessions
+UploadSessionSchema.index({ status: 1, expiresAt: 1 })
+
+const UploadSession = mongoose.model("UploadSession", UploadSessionSchema)
+
+module.exports = UploadSession
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const { avatarPlugin } = require("./Attachment")
 
 const UserSchema = new mongoose.Schema(
   {
@@ -31,10 +32,6 @@ const UserSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
-    avatar: {
-      type: String,
-      default: "",
-    },
     age: {
       type: Number,
       min: 13,
@@ -95,6 +92,12 @@ const UserSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Who can message this user directly, anyone else lands in message requests
+    messagePrivacy: {
+      type: String,
+      enum: ["everyone", "friends", "friendsAndContacts"],
+      default: "everyone",
+    },
     // Friend system
     friends: [
       {
@@ -136,6 +139,9 @@ const UserSchema = new mongoose.Schema(
   },
 )
 
+// Avatar upload, see models/Attachment.js
+UserSchema.plugin(avatarPlugin)
+
 // Create index for location-based queries
 UserSchema.index({ location: "2dsphere" })
 
@@ -171,6 +177,17 @@ UserSchema.methods.generateOTP = function () {
   return otp
 }
 
+// Method to check if a user's first message goes straight to this user's chats
+UserSchema.methods.acceptsMessagesFrom = function (userId) {
+  const id = userId.toString()
+  const isFriend = this.friends.some((friend) => friend.toString() === id)
+  const isContact = this.contacts.some((contact) => contact.toString() === id)
+
+  if (this.messagePrivacy === "friends") return isFriend
+  if (this.messagePrivacy === "friendsAndContacts") return isFriend || isContact
+  return true
+}
+
 // Method to match password
 UserSchema.methods.matchPassword = async function (enteredPassword) {
   if (!this.password) return false
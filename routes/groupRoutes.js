@@ -0,0 +1,33 @@
+const express = require("express")
+const router = express.Router()
+const {
+  createGroup,
+  getGroups,
+  getGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  updateMemberRole,
+  setGroupDisappearingTimer,
+  updateGroupSettings,
+  leaveGroup,
+  getGroupMessages,
+} = require("../controllers/groupController")
+const { protect } = require("../middleware/authMiddleware")
+
+// All routes are protected
+router.use(protect)
+
+router.post("/", createGroup)
+router.get("/", getGroups)
+router.get("/:groupId", getGroup)
+router.put("/:groupId", updateGroup)
+router.get("/:groupId/messages", getGroupMessages)
+router.post("/:groupId/members", addMembers)
+router.put("/:groupId/members/:memberId", updateMemberRole)
+router.delete("/:groupId/members/:memberId", removeMember)
+router.put("/:groupId/disappearing", setGroupDisappearingTimer)
+router.put("/:groupId/settings", updateGroupSettings)
+router.post("/:groupId/leave", leaveGroup)
+
+module.exports = router
@@ -0,0 +1,13 @@
+const express = require("express")
+const router = express.Router()
+const { startLiveLocation, stopLiveLocation, getActiveLiveLocations } = require("../controllers/liveLocationController")
+const { protect } = require("../middleware/authMiddleware")
+
+// All routes are protected
+router.use(protect)
+
+router.post("/", startLiveLocation)
+router.get("/", getActiveLiveLocations)
+router.post("/:sessionId/stop", stopLiveLocation)
+
+module.exports = router
@@ -0,0 +1,32 @@
+const express = require("express")
+const router = express.Router()
+const { createMedia, getMedia, getMediaUrl, getMediaFile } = require("../controllers/mediaController")
+const { protect } = require("../middleware/authMiddleware")
+const {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+  cancelUpload,
+} = require("../controllers/uploadController")
+const { uploadMedia, receiveChunk } = require("../middleware/uploadMiddleware")
+
+// Signed file URLs work without a token, so they can be used directly by <img> and video players
+router.get("/:mediaId/file", getMediaFile)
+
+// All other routes are protected
+router.use(protect)
+
+router.post("/", uploadMedia, createMedia)
+
+// Resumable uploads for large files
+router.post("/uploads", createUpload)
+router.get("/uploads/:uploadId", getUpload)
+router.put("/uploads/:uploadId", receiveChunk, uploadChunk)
+router.post("/uploads/:uploadId/complete", completeUpload)
+router.delete("/uploads/:uploadId", cancelUpload)
+
+router.get("/:mediaId/url", getMediaUrl)
+router.get("/:mediaId", getMedia)
+
+module.exports = router
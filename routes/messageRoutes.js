@@ -2,22 +2,71 @@ const express = require("express")
 const router = express.Router()
 const {
   sendMessage,
+  sendVoiceNote,
+  getScheduledMessages,
+  cancelScheduledMessage,
   getMessages,
+  getSharedMedia,
+  searchMessages,
+  getDisappearingSetting,
+  setDisappearingTimer,
+  getConversationSettings,
+  updateConversationSettings,
   markMessageRead,
+  playVoiceNote,
+  editMessage,
+  forwardMessage,
+  pinMessage,
+  unpinMessage,
+  starMessage,
+  unstarMessage,
+  getStarredMessages,
+  getMentions,
+  votePoll,
+  retractPollVote,
   deleteMessage,
   addReaction,
   getRecentChats,
+  getMessageRequests,
+  acceptMessageRequest,
+  declineMessageRequest,
+  reportMessageRequest,
 } = require("../controllers/messageController")
 const { protect } = require("../middleware/authMiddleware")
+const { uploadVoiceNote } = require("../middleware/uploadMiddleware")
 
 // All routes are protected
 router.use(protect)
 
 router.post("/", sendMessage)
+router.post("/voice", uploadVoiceNote, sendVoiceNote)
 router.get("/chats", getRecentChats)
+router.get("/requests", getMessageRequests)
+router.post("/requests/:userId/accept", acceptMessageRequest)
+router.post("/requests/:userId/decline", declineMessageRequest)
+router.post("/requests/:userId/report", reportMessageRequest)
+router.get("/search", searchMessages)
+router.get("/starred", getStarredMessages)
+router.get("/mentions", getMentions)
+router.get("/scheduled", getScheduledMessages)
+router.delete("/scheduled/:scheduledId", cancelScheduledMessage)
 router.get("/:userId", getMessages)
+router.get("/:userId/media", getSharedMedia)
+router.get("/:userId/disappearing", getDisappearingSetting)
+router.put("/:userId/disappearing", setDisappearingTimer)
+router.get("/:userId/settings", getConversationSettings)
+router.put("/:userId/settings", updateConversationSettings)
 router.put("/:messageId/read", markMessageRead)
+router.post("/:messageId/played", playVoiceNote)
+router.put("/:messageId", editMessage)
 router.delete("/:messageId", deleteMessage)
 router.post("/:messageId/react", addReaction)
+router.post("/:messageId/forward", forwardMessage)
+router.post("/:messageId/pin", pinMessage)
+router.delete("/:messageId/pin", unpinMessage)
+router.post("/:messageId/star", starMessage)
+router.delete("/:messageId/star", unstarMessage)
+router.post("/:messageId/vote", votePoll)
+router.delete("/:messageId/vote", retractPollVote)
 
 module.exports = router
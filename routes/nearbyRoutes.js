@@ -67,7 +67,7 @@ router.get("/users", protect, async (req, res) => {
         },
       },
     })
-      .select("name avatar status lastSeen location interests age gender about")
+      .select("name avatar avatarMedia avatarPreview status lastSeen location interests age gender about")
       .limit(Number.parseInt(limit))
 
     // Calculate distance for each user
@@ -81,7 +81,7 @@ router.get("/users", protect, async (req, res) => {
       )
 
       return {
-        ...user.toObject(),
+        ...user.toJSON(),
         distance: Number.parseFloat(distance.toFixed(1)),
       }
     })
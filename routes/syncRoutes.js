@@ -0,0 +1,11 @@
+const express = require("express")
+const router = express.Router()
+const { getChanges } = require("../controllers/syncController")
+const { protect } = require("../middleware/authMiddleware")
+
+// All routes are protected
+router.use(protect)
+
+router.get("/", getChanges)
+
+module.exports = router
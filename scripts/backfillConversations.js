@@ -0,0 +1,92 @@
+/**
+ * Builds the denormalized conversation summaries (last message, unread
+ * counters, last activity time) for messages sent before they existed.
+ *
+ * Usage: npm run backfill:conversations
+ */
+
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const Conversation = require("../models/Conversation")
+const Group = require("../models/Group")
+const Message = require("../models/Message")
+const { refreshUnreadCount, refreshGroupUnreadCount } = require("../services/conversationService")
+
+dotenv.config()
+
+// Latest message of every one-to-one conversation
+const backfillDirectConversations = async () => {
+  const latest = await Message.aggregate([
+    { $match: { group: null } },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: {
+          $cond: [
+            { $lt: ["$sender", "$receiver"] },
+            { a: "$sender", b: "$receiver" },
+            { a: "$receiver", b: "$sender" },
+          ],
+        },
+        lastMessage: { $first: "$_id" },
+        lastMessageAt: { $first: "$timestamp" },
+      },
+    },
+  ])
+
+  for (const item of latest) {
+    const [userA, userB] = [item._id.a.toString(), item._id.b.toString()]
+    const key = Conversation.keyFor(userA, userB)
+
+    await Conversation.updateOne(
+      { key },
+      {
+        $set: { lastMessage: item.lastMessage, lastMessageAt: item.lastMessageAt },
+        $setOnInsert: { key, participants: key.split(":") },
+      },
+      { upsert: true },
+    )
+    await refreshUnreadCount(userA, userB)
+    await refreshUnreadCount(userB, userA)
+  }
+
+  return latest.length
+}
+
+// Latest message of every group
+const backfillGroups = async () => {
+  const groups = await Group.find().select("members")
+
+  for (const group of groups) {
+    const lastMessage = await Message.findOne({ group: group._id }).sort({ timestamp: -1 }).select("_id timestamp")
+    if (lastMessage) {
+      await Group.updateOne(
+        { _id: group._id },
+        { $set: { lastMessage: lastMessage._id, lastMessageAt: lastMessage.timestamp } },
+      )
+    }
+
+    for (const member of group.members) {
+      await refreshGroupUnreadCount(member, group._id)
+    }
+  }
+
+  return groups.length
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI)
+
+  const conversationCount = await backfillDirectConversations()
+  console.log(`Backfilled ${conversationCount} one-to-one conversations`)
+
+  const groupCount = await backfillGroups()
+  console.log(`Backfilled ${groupCount} groups`)
+
+  await mongoose.disconnect()
+}
+
+run().catch((error) => {
+  console.error("Backfill conversations error:", error)
+  process.exit(1)
+})
@@ -0,0 +1,125 @@
+/**
+ * Copies the files in uploads/ to the configured storage driver (STORAGE_DRIVER)
+ * and points every stored URL at the copies. Safe to run again, files are
+ * copied again and only URLs still pointing at /uploads are rewritten.
+ *
+ * Usage: npm run migrate:uploads [-- --delete]
+ *   --delete  remove the local files once their URLs are rewritten
+ */
+
+const fs = require("fs/promises")
+const path = require("path")
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+
+// Load environment variables before fileStorage picks the driver
+dotenv.config()
+
+const Media = require("../models/Media")
+const Message = require("../models/Message")
+const ScheduledMessage = require("../models/ScheduledMessage")
+const Story = require("../models/Story")
+const User = require("../models/User")
+const Group = require("../models/Group")
+const { UPLOADS_DIR, storage } = require("../utils/fileStorage")
+const { detectFileType } = require("../utils/fileType")
+
+const LOCAL_URL = /^\/uploads\//
+
+// Fields holding upload URLs, previews hold theirs in variants[].url
+const URL_FIELDS = [
+  { model: Media, urls: ["url"], previews: ["preview"] },
+  { model: Message, urls: ["mediaUrl"], previews: ["mediaPreview"] },
+  { model: ScheduledMessage, urls: ["mediaUrl"], previews: ["mediaPreview"] },
+  { model: Story, urls: ["mediaUrl"], previews: ["mediaPreview"] },
+  { model: User, urls: ["avatar", "customBackground"], previews: ["avatarPreview"] },
+  { model: Group, urls: ["avatar"], previews: ["avatarPreview"] },
+]
+
+// Copy every local file, returning a map of old URL to new URL
+const copyFiles = async (storage) => {
+  const urls = new Map()
+  const entries = await fs.readdir(UPLOADS_DIR, { withFileTypes: true }).catch((error) => {
+    if (error.code === "ENOENT") return []
+    throw error
+  })
+
+  for (const entry of entries.filter((item) => item.isFile())) {
+    const buffer = await fs.readFile(path.join(UPLOADS_DIR, entry.name))
+    const type = detectFileType(buffer)
+
+    await storage.save(entry.name, buffer, type ? type.mimeType : "application/octet-stream")
+    urls.set(`/uploads/${entry.name}`, storage.urlFor(entry.name))
+  }
+
+  return urls
+}
+
+const rewriteUrl = (url, urls) => (typeof url === "string" && urls.has(url) ? urls.get(url) : url)
+
+const rewritePreview = (preview, urls) =>
+  preview && {
+    ...preview,
+    variants: preview.variants.map((variant) => ({ ...variant, url: rewriteUrl(variant.url, urls) })),
+  }
+
+// Point the documents of one model at the copied files
+const rewriteModel = async ({ model, urls: urlFields, previews }, urls) => {
+  const filter = {
+    $or: [
+      ...urlFields.map((field) => ({ [field]: LOCAL_URL })),
+      ...previews.map((field) => ({ [`${field}.variants.url`]: LOCAL_URL })),
+    ],
+  }
+
+  let count = 0
+  for await (const doc of model
+    .find(filter)
+    .select([...urlFields, ...previews].join(" "))
+    .lean()
+    .cursor()) {
+    const update = {}
+    urlFields.forEach((field) => {
+      if (rewriteUrl(doc[field], urls) !== doc[field]) update[field] = rewriteUrl(doc[field], urls)
+    })
+    previews.forEach((field) => {
+      if (doc[field]) update[field] = rewritePreview(doc[field], urls)
+    })
+
+    // Skip Mongoose timestamps, these aren't changes clients need to sync
+    await model.updateOne({ _id: doc._id }, { $set: update }, { timestamps: false })
+    count++
+  }
+
+  return count
+}
+
+const run = async () => {
+  if (storage.name === "local") {
+    throw new Error("STORAGE_DRIVER is local, set it to the driver to migrate to")
+  }
+
+  await mongoose.connect(process.env.MONGO_URI)
+
+  const urls = await copyFiles(storage)
+  console.log(`Copied ${urls.size} files to ${storage.name} storage`)
+
+  for (const fields of URL_FIELDS) {
+    const count = await rewriteModel(fields, urls)
+    console.log(`Updated ${count} ${fields.model.modelName} documents`)
+  }
+
+  if (process.argv.includes("--delete")) {
+    for (const url of urls.keys()) {
+      await fs.unlink(path.join(UPLOADS_DIR, path.basename(url)))
+    }
+    console.log(`Deleted ${urls.size} local files`)
+  }
+
+  await mongoose.disconnect()
+}
+
+run().catch((error) => {
+  console.error("Migrate uploads error:", error)
+  process.exit(1)
+})
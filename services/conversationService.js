@@ -0,0 +1,296 @@
+const mongoose = require("mongoose")
+const Conversation = require("../models/Conversation")
+const Group = require("../models/Group")
+const Message = require("../models/Message")
+
+/**
+ * Keeps the denormalized conversation summaries (last message, per-user
+ * unread counters and last activity time) in sync with messages.
+ *
+ * One-to-one summaries live on Conversation, group summaries on Group.
+ */
+
+// How often to remove disappearing messages that have expired
+const EXPIRY_SWEEP_INTERVAL = 60000
+
+// Expired messages removed per sweep
+const EXPIRY_SWEEP_BATCH = 1000
+
+let expirySweeperTimer = null
+
+// Update the summary after a message is saved
+const recordMessage = async (message) => {
+  const senderId = message.sender.toString()
+  const update = {
+    $set: { lastMessage: message._id, lastMessageAt: message.timestamp },
+  }
+
+  if (message.group) {
+    const group = await Group.findById(message.group).select("members")
+    if (!group) return
+
+    // Notices about the conversation itself don't count as unread
+    if (message.messageType !== "system") {
+      update.$inc = {}
+      group.members
+        .filter((member) => member.toString() !== senderId)
+        .forEach((member) => {
+          update.$inc[`unreadCounts.${member}`] = 1
+        })
+    }
+
+    await Group.updateOne({ _id: group._id }, update)
+    return
+  }
+
+  const receiverId = message.receiver.toString()
+  const key = Conversation.keyFor(senderId, receiverId)
+
+  if (message.messageType !== "system") {
+    update.$inc = { [`unreadCounts.${receiverId}`]: 1 }
+  }
+  update.$setOnInsert = { key, participants: key.split(":") }
+
+  await Conversation.updateOne({ key }, update, { upsert: true })
+}
+
+// Recount a user's unread messages from another user
+const refreshUnreadCount = async (userId, otherUserId) => {
+  const count = await Message.countDocuments({
+    sender: otherUserId,
+    receiver: userId,
+    isRead: false,
+    isDeleted: false,
+    deletedFor: { $ne: userId },
+    messageType: { $ne: "system" },
+  })
+
+  await Conversation.updateOne(
+    { key: Conversation.keyFor(userId, otherUserId) },
+    { $set: { [`unreadCounts.${userId}`]: count } },
+  )
+}
+
+// Recount a member's unread messages in a group
+const refreshGroupUnreadCount = async (userId, groupId) => {
+  const count = await Message.countDocuments({
+    group: groupId,
+    sender: { $ne: userId },
+    "readBy.user": { $ne: userId },
+    isDeleted: false,
+    deletedFor: { $ne: userId },
+    messageType: { $ne: "system" },
+  })
+
+  await Group.updateOne({ _id: groupId }, { $set: { [`unreadCounts.${userId}`]: count } })
+}
+
+// Point a summary at the newest message still there, the chat keeps its place in the list when none is left
+const refreshLastMessage = async (model, summaryFilter, messageFilter) => {
+  const newest = await Message.findOne({ ...messageFilter, expiresAt: { $not: { $lte: new Date() } } })
+    .sort({ timestamp: -1 })
+    .select("_id timestamp")
+
+  const update = newest ? { lastMessage: newest._id, lastMessageAt: newest.timestamp } : { lastMessage: null }
+  await model.updateOne(summaryFilter, { $set: update })
+}
+
+/**
+ * Remove disappearing messages that expired and refresh the summaries of their
+ * conversations. MongoDB's TTL index would remove them too, but without
+ * updating the last message and unread counters that include them.
+ */
+const removeExpiredMessages = async () => {
+  try {
+    const expired = await Message.find({ expiresAt: { $lte: new Date() } })
+      .select("_id sender receiver group")
+      .limit(EXPIRY_SWEEP_BATCH)
+    if (expired.length === 0) return
+
+    await Message.deleteMany({ _id: { $in: expired.map((message) => message._id) } })
+
+    const conversations = new Map()
+    const groupIds = new Set()
+    expired.forEach((message) => {
+      if (message.group) {
+        groupIds.add(message.group.toString())
+      } else {
+        const key = Conversation.keyFor(message.sender, message.receiver)
+        conversations.set(key, key.split(":"))
+      }
+    })
+
+    for (const [key, [userId, otherUserId]] of conversations) {
+      await refreshLastMessage(
+        Conversation,
+        { key },
+        {
+          $or: [
+            { sender: userId, receiver: otherUserId },
+            { sender: otherUserId, receiver: userId },
+          ],
+        },
+      )
+      await refreshUnreadCount(userId, otherUserId)
+      await refreshUnreadCount(otherUserId, userId)
+    }
+
+    for (const groupId of groupIds) {
+      const group = await Group.findById(groupId).select("members")
+      if (!group) continue
+
+      await refreshLastMessage(Group, { _id: groupId }, { group: groupId })
+      for (const member of group.members) {
+        await refreshGroupUnreadCount(member, groupId)
+      }
+    }
+  } catch (error) {
+    console.error("Error removing expired messages:", error)
+  }
+}
+
+// Start removing expired messages, including ones that expired while the server was down
+const startExpiredMessageSweeper = () => {
+  if (expirySweeperTimer) return
+
+  expirySweeperTimer = setInterval(removeExpiredMessages, EXPIRY_SWEEP_INTERVAL)
+  removeExpiredMessages()
+}
+
+const stopExpiredMessageSweeper = () => {
+  if (expirySweeperTimer) {
+    clearInterval(expirySweeperTimer)
+    expirySweeperTimer = null
+  }
+}
+
+// Recount unread messages for everyone affected by a deleted message
+const refreshAfterDelete = async (message, userId, deletedForEveryone) => {
+  if (message.group) {
+    if (!deletedForEveryone) {
+      await refreshGroupUnreadCount(userId, message.group)
+      return
+    }
+
+    const group = await Group.findById(message.group).select("members")
+    if (!group) return
+    for (const member of group.members) {
+      await refreshGroupUnreadCount(member, message.group)
+    }
+    return
+  }
+
+  // Only the receiver's counter can include the message
+  const receiverId = message.receiver.toString()
+  if (deletedForEveryone || receiverId === userId) {
+    await refreshUnreadCount(receiverId, message.sender)
+  }
+}
+
+// Check whether two users have exchanged messages, server notices (like timer changes) don't count
+const hasChatHistory = async (userId, otherUserId) =>
+  Boolean(
+    await Message.exists({
+      $or: [
+        { sender: userId, receiver: otherUserId },
+        { sender: otherUserId, receiver: userId },
+      ],
+      messageType: { $ne: "system" },
+    }),
+  )
+
+/**
+ * Work out whether a one-to-one message is a message request.
+ *
+ * A first message from someone the receiver doesn't accept messages from
+ * starts a pending request, and later messages from the requester stay in it.
+ * A reply from the receiver accepts the request. Returns { request } (true
+ * when the message goes to the receiver's requests), or { error } when the
+ * receiver declined the sender's request.
+ */
+const checkMessageRequest = async (senderId, receiverUser) => {
+  const key = Conversation.keyFor(senderId, receiverUser._id)
+  const conversation = await Conversation.findOne({ key })
+
+  if (conversation && ["pending", "declined"].includes(conversation.requestStatus)) {
+    // The receiver answering, or the requester becoming someone they accept messages from, accepts it
+    if (!conversation.isRequestFor(senderId) || receiverUser.acceptsMessagesFrom(senderId)) {
+      await Conversation.updateOne({ key }, { $set: { requestStatus: "accepted", requestRespondedAt: new Date() } })
+      return { request: false }
+    }
+
+    if (conversation.requestStatus === "declined") {
+      return { error: "Cannot send message to this user" }
+    }
+    return { request: true }
+  }
+
+  // Only the first message of a conversation can start a request
+  if (receiverUser.acceptsMessagesFrom(senderId) || (await hasChatHistory(senderId, receiverUser._id))) {
+    return { request: false }
+  }
+
+  await Conversation.updateOne(
+    { key },
+    {
+      $set: { requestStatus: "pending", requestedBy: senderId, requestRespondedAt: null },
+      $setOnInsert: { key, participants: key.split(":") },
+    },
+    { upsert: true },
+  )
+  return { request: true }
+}
+
+// Check if messages from another user are in a user's pending or declined requests
+const isMessageRequest = async (userId, otherUserId) => {
+  const conversation = await Conversation.findBetween(userId, otherUserId)
+  return Boolean(conversation && conversation.isRequestFor(userId))
+}
+
+// Build the last message preview shown in a chat list entry
+const formatLastMessage = (message, userId) => {
+  if (!message) return null
+
+  let text = message.text
+  if (message.deletedFor.some((id) => id.toString() === userId)) {
+    text = "You deleted this message"
+  } else if (message.isDeleted) {
+    text = "This message was deleted"
+  }
+
+  return {
+    _id: message._id,
+    text,
+    messageType: message.messageType,
+    timestamp: message.timestamp,
+    isRead: message.isRead,
+    status: message.status,
+    sender: message.sender.toString(),
+  }
+}
+
+// Chat list cursors are "<lastMessageAt in ms>_<summary id>"
+const encodeChatCursor = (summary) => `${summary.lastMessageAt.getTime()}_${summary._id}`
+
+const decodeChatCursor = (cursor) => {
+  const [time, id] = String(cursor).split("_")
+  const lastMessageAt = new Date(Number(time))
+  if (!time || Number.isNaN(lastMessageAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null
+
+  return { lastMessageAt, _id: new mongoose.Types.ObjectId(id) }
+}
+
+module.exports = {
+  recordMessage,
+  hasChatHistory,
+  checkMessageRequest,
+  isMessageRequest,
+  refreshUnreadCount,
+  refreshGroupUnreadCount,
+  refreshAfterDelete,
+  formatLastMessage,
+  encodeChatCursor,
+  decodeChatCursor,
+  startExpiredMessageSweeper,
+  stopExpiredMessageSweeper,
+}
@@ -0,0 +1,103 @@
+const LiveLocationSession = require("../models/LiveLocationSession")
+
+// How often to look for sessions that have expired
+const SWEEP_INTERVAL = 30000
+
+let sweeperTimer = null
+
+// Rooms that should receive updates for a session
+const getSessionRooms = (session) => {
+  if (session.group) {
+    return [session.group.toString()]
+  }
+  return [session.receiver.toString()]
+}
+
+// Build the payload sent with every live location event
+const buildSessionPayload = (session) => ({
+  sessionId: session._id,
+  userId: session.sharer,
+  receiver: session.receiver,
+  group: session.group,
+  longitude: session.lastLocation.coordinates[0],
+  latitude: session.lastLocation.coordinates[1],
+  updatedAt: session.lastUpdatedAt,
+  expiresAt: session.expiresAt,
+})
+
+// Save a new position on every active session of a user and stream it to the recipients
+const streamLocationUpdate = async (io, userId, longitude, latitude) => {
+  const sessions = await LiveLocationSession.find({
+    sharer: userId,
+    endedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+
+  for (const session of sessions) {
+    session.lastLocation = { type: "Point", coordinates: [longitude, latitude] }
+    session.lastUpdatedAt = new Date()
+    await session.save()
+
+    getSessionRooms(session).forEach((room) => io.to(room).emit("liveLocationUpdate", buildSessionPayload(session)))
+  }
+
+  return sessions.length
+}
+
+// Mark a session as ended and notify the recipients and the sharer's devices
+const endLiveLocationSession = async (io, session) => {
+  if (session.endedAt) return
+
+  session.endedAt = new Date()
+  await session.save()
+
+  if (!io) return
+
+  const payload = { sessionId: session._id, userId: session.sharer, endedAt: session.endedAt }
+  const rooms = [...getSessionRooms(session), session.sharer.toString()]
+  rooms.forEach((room) => io.to(room).emit("liveLocationEnded", payload))
+}
+
+// End the active sessions matching a filter, e.g. when the sharer leaves the group or gets blocked
+const endLiveLocationSessions = async (io, filter) => {
+  const sessions = await LiveLocationSession.find({ ...filter, endedAt: null })
+  for (const session of sessions) {
+    await endLiveLocationSession(io, session)
+  }
+}
+
+// End every session whose time is up
+const endExpiredSessions = async (io) => {
+  try {
+    const expired = await LiveLocationSession.find({ endedAt: null, expiresAt: { $lte: new Date() } })
+    for (const session of expired) {
+      await endLiveLocationSession(io, session)
+    }
+  } catch (error) {
+    console.error("Error ending expired live location sessions:", error)
+  }
+}
+
+// Start the sweeper. Sessions live in MongoDB, so ones that expired while the server was down end on startup.
+const startLiveLocationSweeper = (io) => {
+  if (sweeperTimer) return
+
+  sweeperTimer = setInterval(() => endExpiredSessions(io), SWEEP_INTERVAL)
+  endExpiredSessions(io)
+}
+
+const stopLiveLocationSweeper = () => {
+  if (sweeperTimer) {
+    clearInterval(sweeperTimer)
+    sweeperTimer = null
+  }
+}
+
+module.exports = {
+  buildSessionPayload,
+  streamLocationUpdate,
+  endLiveLocationSession,
+  endLiveLocationSessions,
+  startLiveLocationSweeper,
+  stopLiveLocationSweeper,
+}
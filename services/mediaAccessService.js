@@ -0,0 +1,87 @@
+const Group = require("../models/Group")
+const Message = require("../models/Message")
+const Story = require("../models/Story")
+const User = require("../models/User")
+const { canAccessMessage } = require("./messageService")
+const { hideAttachmentUrls } = require("../utils/mediaUrls")
+
+const hasBlocked = (ownerId, userId) => User.exists({ _id: ownerId, blockedUsers: userId })
+
+// Media sent in a message the user can still see, unless its sender blocked them
+const canSeeInMessages = async (media, userId) => {
+  const messages = await Message.find({ media: media._id, isDeleted: false, deletedFor: { $ne: userId } }).select(
+    "sender receiver group oneTimeView viewedAt",
+  )
+
+  for (const message of messages) {
+    // One-time view media is gone for the receiver once opened
+    const viewedOnce = message.oneTimeView && message.viewedAt && message.sender.toString() !== userId
+    if (viewedOnce || !(await canAccessMessage(message, userId))) continue
+
+    if (message.sender.toString() === userId || !(await hasBlocked(message.sender, userId))) return true
+  }
+  return false
+}
+
+// Media of an active story, unless its owner blocked the user
+const canSeeInStories = async (media, userId) => {
+  const stories = await Story.find({ media: media._id, expiresAt: { $gt: new Date() } }).select("user")
+
+  for (const story of stories) {
+    if (story.user.toString() === userId || !(await hasBlocked(story.user, userId))) return true
+  }
+  return false
+}
+
+// Avatars are visible to everyone their owner hasn't blocked, group avatars to the group's members
+const canSeeAsAvatar = async (media, userId) =>
+  Boolean(
+    (await User.exists({ avatarMedia: media._id, blockedUsers: { $ne: userId } })) ||
+    (await Group.exists({ avatarMedia: media._id, members: userId })),
+  )
+
+// ID of a message's sender, populated or not
+const senderId = (message) => message.sender && (message.sender._id || message.sender).toString()
+
+/**
+ * JSON of messages sent to a user, without the file URLs of messages (or the
+ * replies they quote) from senders who blocked the user. Those files stay
+ * listed but can't be opened, as in the shared media gallery.
+ */
+const formatMessagesFor = async (messages, userId) => {
+  const quoted = messages.map((message) => message.replyTo).filter((reply) => reply && reply.sender)
+  const senderIds = [...new Set([...messages, ...quoted].map(senderId))].filter((id) => id && id !== userId)
+  const blockers = await User.find({ _id: { $in: senderIds }, blockedUsers: userId }).select("_id")
+  const blockerIds = new Set(blockers.map((blocker) => blocker._id.toString()))
+
+  const hideBlocked = (message, json) =>
+    blockerIds.has(senderId(message)) ? { ...json, ...hideAttachmentUrls(json) } : json
+
+  return messages.map((message) => {
+    const json = hideBlocked(message, message.toJSON())
+    if (quoted.includes(message.replyTo)) {
+      json.replyTo = hideBlocked(message.replyTo, json.replyTo)
+    }
+    return json
+  })
+}
+
+/**
+ * Check whether a user may see a media file: their own uploads, files in
+ * messages of conversations they are part of, active stories and avatars.
+ * Anything shared by someone who blocked the user is refused.
+ */
+const canAccessMedia = async (media, userId) => {
+  if (media.owner.toString() === userId) return true
+
+  return (
+    (await canSeeInMessages(media, userId)) ||
+    (await canSeeInStories(media, userId)) ||
+    (await canSeeAsAvatar(media, userId))
+  )
+}
+
+module.exports = {
+  formatMessagesFor,
+  canAccessMedia,
+}
@@ -0,0 +1,162 @@
+const mongoose = require("mongoose")
+const Media = require("../models/Media")
+const { saveUpload, removeUpload } = require("../utils/fileStorage")
+const { createImageVariants } = require("../utils/imageVariants")
+
+// Default largest upload of each kind, overridable with MEDIA_MAX_BYTES_<KIND> (e.g. MEDIA_MAX_BYTES_VIDEO)
+const DEFAULT_MEDIA_MAX_BYTES = {
+  image: 10 * 1024 * 1024,
+  video: 100 * 1024 * 1024,
+  audio: 20 * 1024 * 1024,
+  document: 50 * 1024 * 1024,
+}
+
+const MEDIA_MAX_BYTES = Object.fromEntries(
+  Object.entries(DEFAULT_MEDIA_MAX_BYTES).map(([kind, bytes]) => [
+    kind,
+    Number.parseInt(process.env[`MEDIA_MAX_BYTES_${kind.toUpperCase()}`]) || bytes,
+  ]),
+)
+
+// Uploads are buffered before their kind is known, so they are capped at the largest limit
+const LARGEST_MEDIA_MAX_BYTES = Math.max(...Object.values(MEDIA_MAX_BYTES))
+
+// URLs of every file stored for a media record
+const getStoredUrls = (media) => [
+  media.url,
+  ...(media.preview ? media.preview.variants.map((variant) => variant.url) : []),
+]
+
+// Resize an image and store its variants, null when the image can't be decoded (e.g. HEIC)
+const storeImagePreview = async (buffer) => {
+  const result = await createImageVariants(buffer)
+  if (result.error) {
+    console.warn("Image preview not created:", result.error)
+    return null
+  }
+
+  const variants = []
+  for (const { size, width, height, buffer: variantBuffer } of result.variants) {
+    const url = await saveUpload(variantBuffer, {
+      prefix: `image-${size}`,
+      extension: "webp",
+      contentType: "image/webp",
+    })
+    variants.push({ size, width, height, url })
+  }
+
+  return { width: result.width, height: result.height, placeholder: result.placeholder, variants }
+}
+
+const buildMedia = (owner, type, size, originalName) =>
+  new Media({
+    owner,
+    kind: type.kind,
+    mimeType: type.mimeType,
+    extension: type.extension,
+    size,
+    originalName: originalName ? originalName.slice(0, 255) : null,
+  })
+
+// Store an uploaded file and create its media record, type is { kind, mimeType, extension }.
+// Images also get their resized variants and blur placeholder
+const storeMedia = async (owner, buffer, type, originalName) => {
+  const media = buildMedia(owner, type, buffer.length, originalName)
+
+  try {
+    media.url = await saveUpload(buffer, {
+      prefix: type.kind,
+      extension: type.extension,
+      contentType: type.mimeType,
+    })
+    if (type.kind === "image") {
+      media.preview = await storeImagePreview(buffer)
+    }
+    return await media.save()
+  } catch (error) {
+    await Promise.all(getStoredUrls(media).filter(Boolean).map(removeUpload))
+    throw error
+  }
+}
+
+// Store a file from a stream of size bytes without holding it in memory. There are no image
+// variants, images go through storeMedia
+const storeMediaStream = async (owner, stream, size, type, originalName) => {
+  const media = buildMedia(owner, type, size, originalName)
+
+  media.url = await saveUpload(stream, {
+    prefix: type.kind,
+    extension: type.extension,
+    contentType: type.mimeType,
+    size,
+  })
+
+  try {
+    return await media.save()
+  } catch (error) {
+    await removeUpload(media.url)
+    throw error
+  }
+}
+
+// Delete a media record and its files, for uploads that ended up unused
+const removeMedia = async (media) => {
+  await Media.deleteOne({ _id: media._id })
+  await Promise.all(getStoredUrls(media).map(removeUpload))
+}
+
+/**
+ * Look up media a user wants to attach, optionally requiring one of the given kinds.
+ *
+ * Users can only attach their own uploads. Returns { media } or { error }.
+ */
+const resolveMedia = async (mediaId, userId, kinds = null) => {
+  if (!mongoose.Types.ObjectId.isValid(mediaId)) {
+    return { error: "Invalid mediaId" }
+  }
+
+  const media = await Media.findById(mediaId)
+  if (!media || media.owner.toString() !== userId.toString()) {
+    return { error: "Media not found" }
+  }
+
+  if (kinds && !kinds.includes(media.kind)) {
+    return { error: `Media must be ${kinds.join(" or ")}` }
+  }
+
+  return { media }
+}
+
+/**
+ * Resolve the upload a message attaches by mediaId. The media's kind is the
+ * message type, a different messageType is rejected.
+ *
+ * Returns { attachment } with the message's media, mediaUrl, mediaPreview and
+ * messageType, or { error }.
+ */
+const resolveMessageAttachment = async (mediaId, userId, messageType) => {
+  if (!mediaId) {
+    return { attachment: { media: null, mediaUrl: null, mediaPreview: null, messageType: messageType || "text" } }
+  }
+
+  const { media, error } = await resolveMedia(mediaId, userId)
+  if (error) return { error }
+
+  if (messageType && messageType !== media.kind) {
+    return { error: "messageType doesn't match the media" }
+  }
+
+  return {
+    attachment: { media: media._id, mediaUrl: media.url, mediaPreview: media.preview, messageType: media.kind },
+  }
+}
+
+module.exports = {
+  MEDIA_MAX_BYTES,
+  LARGEST_MEDIA_MAX_BYTES,
+  storeMedia,
+  storeMediaStream,
+  removeMedia,
+  resolveMedia,
+  resolveMessageAttachment,
+}
@@ -0,0 +1,112 @@
+const ScheduledMessage = require("../models/ScheduledMessage")
+const { sendChatMessage } = require("./messageService")
+
+// How often to look for scheduled messages that are due
+const SCHEDULER_INTERVAL = 10000
+
+// Messages stuck in processing this long (e.g. after a crash) are retried
+const STALE_PROCESSING_TIMEOUT = 5 * 60 * 1000
+
+let schedulerTimer = null
+let isDispatching = false
+
+// Send one claimed scheduled message through the regular send path
+const dispatchScheduledMessage = async (io, scheduled) => {
+  try {
+    const { message, error } = await sendChatMessage(io, {
+      sender: scheduled.sender,
+      receiver: scheduled.receiver,
+      group: scheduled.group,
+      text: scheduled.text,
+      messageType: scheduled.messageType,
+      media: scheduled.media,
+      mediaUrl: scheduled.mediaUrl,
+      mediaPreview: scheduled.mediaPreview,
+      replyTo: scheduled.replyTo,
+      oneTimeView: scheduled.oneTimeView,
+      // Makes a retried dispatch after a crash answer with the message already sent
+      clientMessageId: scheduled.clientMessageId,
+    })
+
+    if (error) {
+      scheduled.status = "failed"
+      scheduled.failureReason = error
+    } else {
+      scheduled.status = "sent"
+      scheduled.sentMessage = message._id
+    }
+  } catch (error) {
+    console.error(`Error dispatching scheduled message ${scheduled._id}:`, error)
+    scheduled.status = "failed"
+    scheduled.failureReason = error.message
+  }
+
+  await scheduled.save()
+
+  if (scheduled.status === "failed") {
+    io.to(scheduled.sender.toString()).emit("scheduledMessageFailed", {
+      scheduledId: scheduled._id,
+      reason: scheduled.failureReason,
+    })
+  }
+}
+
+// Atomically move the oldest due message from pending to processing
+const claimNextDueMessage = () => {
+  return ScheduledMessage.findOneAndUpdate(
+    { status: "pending", scheduledAt: { $lte: new Date() } },
+    { status: "processing" },
+    { sort: { scheduledAt: 1 }, new: true },
+  )
+}
+
+// Claim and send every scheduled message that is due
+const dispatchDueMessages = async (io) => {
+  if (isDispatching) return
+  isDispatching = true
+
+  try {
+    // Claim one message at a time so multiple instances never send the same message
+    let scheduled = await claimNextDueMessage()
+    while (scheduled) {
+      await dispatchScheduledMessage(io, scheduled)
+      scheduled = await claimNextDueMessage()
+    }
+  } catch (error) {
+    console.error("Error dispatching scheduled messages:", error)
+  } finally {
+    isDispatching = false
+  }
+}
+
+// Start the in-process dispatcher. Pending messages live in MongoDB, so
+// anything that came due while the server was down is sent on startup.
+const startMessageScheduler = async (io) => {
+  if (schedulerTimer) return
+
+  try {
+    await ScheduledMessage.updateMany(
+      { status: "processing", updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_TIMEOUT) } },
+      { status: "pending" },
+    )
+  } catch (error) {
+    console.error("Error resetting stale scheduled messages:", error)
+  }
+
+  schedulerTimer = setInterval(() => dispatchDueMessages(io), SCHEDULER_INTERVAL)
+  dispatchDueMessages(io)
+
+  console.log("Message scheduler started")
+}
+
+const stopMessageScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer)
+    schedulerTimer = null
+  }
+}
+
+module.exports = {
+  startMessageScheduler,
+  stopMessageScheduler,
+}
@@ -0,0 +1,452 @@
+const Message = require("../models/Message")
+const User = require("../models/User")
+const Group = require("../models/Group")
+const Conversation = require("../models/Conversation")
+const { markDelivered, markRead, markGroupMessageRead } = require("../utils/messageStatus")
+const { getMessageExpiry } = require("../utils/disappearingMessages")
+const { buildPoll } = require("../utils/polls")
+const { resolveMentions, notifyMentions } = require("../utils/mentions")
+const { resolveMessageAttachment } = require("./mediaService")
+const { recordMessage, refreshAfterDelete, checkMessageRequest, isMessageRequest } = require("./conversationService")
+
+// How long to wait for a receiver to acknowledge a new message
+const DELIVERY_ACK_TIMEOUT = 10000
+
+// Longest client-generated message ID accepted
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 100
+
+// Client message IDs are optional, but must be a short non-empty string when given
+const isValidClientMessageId = (clientMessageId) =>
+  clientMessageId === undefined ||
+  clientMessageId === null ||
+  (typeof clientMessageId === "string" &&
+    clientMessageId.length > 0 &&
+    clientMessageId.length <= MAX_CLIENT_MESSAGE_ID_LENGTH)
+
+// Load a message with everything clients need to render it
+const findPopulatedMessage = (messageId) => {
+  return Message.findById(messageId)
+    .populate("sender", "name avatar avatarMedia avatarPreview")
+    .populate("receiver", "name avatar avatarMedia avatarPreview")
+    .populate("group", "name avatar avatarMedia avatarPreview")
+    .populate("media", "kind mimeType size originalName url preview")
+    .populate({
+      path: "replyTo",
+      populate: {
+        path: "sender",
+        select: "name avatar avatarMedia avatarPreview",
+      },
+    })
+}
+
+// Find the message a sender already saved under a client-generated ID
+const findSentMessage = (sender, clientMessageId) => {
+  if (!clientMessageId) return null
+  return Message.findOne({ sender, clientMessageId })
+}
+
+/**
+ * Save a new message. When a retry with the same client message ID won the
+ * race, returns that message instead with duplicate set.
+ */
+const saveMessage = async (message) => {
+  try {
+    return { message: await message.save(), duplicate: false }
+  } catch (error) {
+    if (error.code === 11000 && message.clientMessageId) {
+      const existing = await findSentMessage(message.sender, message.clientMessageId)
+      if (existing) return { message: existing, duplicate: true }
+    }
+    throw error
+  }
+}
+
+/**
+ * Save a chat message and emit it to the sender and receiver (or group room).
+ *
+ * This is the path used by POST /api/messages, the socket "sendMessage"
+ * handler, the message scheduler and server-created messages (forwards,
+ * system notices, live location shares). Returns { message } with the
+ * populated message, or { error } when the message cannot be sent.
+ *
+ * A message with a clientMessageId the sender already used is not saved or
+ * emitted again, { message, duplicate: true } returns the original instead.
+ *
+ * Files are attached with mediaId, one of the sender's uploads. Server paths
+ * that already checked their file (forwards, voice notes, scheduled messages)
+ * pass media, mediaUrl and mediaPreview instead.
+ */
+const sendChatMessage = async (io, messageData) => {
+  const {
+    sender,
+    receiver,
+    group,
+    text,
+    messageType,
+    mediaId,
+    media,
+    mediaUrl,
+    mediaPreview,
+    replyTo,
+    oneTimeView,
+    forwardedFrom,
+    forwardCount,
+    liveLocation,
+    voiceNote,
+    clientMessageId,
+  } = messageData
+
+  if (!isValidClientMessageId(clientMessageId)) {
+    return { error: "Invalid clientMessageId" }
+  }
+
+  // Answer retried sends with the message already saved
+  const existingMessage = await findSentMessage(sender, clientMessageId)
+  if (existingMessage) {
+    return { message: await findPopulatedMessage(existingMessage._id), duplicate: true }
+  }
+
+  let poll = null
+  if (messageType === "poll") {
+    const result = buildPoll(messageData.poll)
+    if (result.error) {
+      return { error: result.error }
+    }
+    poll = result.poll
+  }
+
+  let attachment = {
+    media: media || null,
+    mediaUrl: mediaUrl || null,
+    mediaPreview: mediaPreview || null,
+    messageType: messageType || "text",
+  }
+  if (mediaId) {
+    const result = await resolveMessageAttachment(mediaId, sender, messageType)
+    if (result.error) {
+      return { error: result.error }
+    }
+    attachment = result.attachment
+  }
+
+  const messageText = poll ? text || poll.question : text
+
+  if (!sender || (!receiver && !group) || !messageText) {
+    return { error: "Missing required fields" }
+  }
+
+  let isRequest = false
+  if (group) {
+    // Check if sender is a member of the group
+    const targetGroup = await Group.findById(group)
+    if (!targetGroup || !targetGroup.isMember(sender)) {
+      return { error: "Cannot send message to this group" }
+    }
+  } else {
+    // Check if receiver has blocked sender
+    const receiverUser = await User.findById(receiver)
+    if (receiverUser && receiverUser.blockedUsers.includes(sender)) {
+      return { error: "Cannot send message to this user" }
+    }
+
+    // First messages from people the receiver doesn't accept messages from go to their message requests
+    if (receiverUser && messageType !== "system") {
+      const requestCheck = await checkMessageRequest(sender.toString(), receiverUser)
+      if (requestCheck.error) {
+        return { error: requestCheck.error }
+      }
+      isRequest = requestCheck.request
+    }
+  }
+
+  // Create new message in database
+  const newMessage = new Message({
+    sender,
+    receiver: group ? null : receiver,
+    group: group || null,
+    clientMessageId: clientMessageId || undefined,
+    text: messageText,
+    // Forwarded text and server notices don't mention anyone
+    mentions:
+      forwardedFrom || messageType === "system" ? [] : await resolveMentions({ sender, receiver, group }, messageText),
+    ...attachment,
+    poll,
+    liveLocation: liveLocation || null,
+    voiceNote: voiceNote ? { duration: voiceNote.duration, waveform: voiceNote.waveform, playedBy: [] } : null,
+    replyTo: replyTo || null,
+    oneTimeView: oneTimeView || false,
+    isForwarded: Boolean(forwardedFrom),
+    forwardedFrom: forwardedFrom || null,
+    forwardCount: forwardCount || 0,
+    expiresAt: await getMessageExpiry({ sender, receiver, group, messageType }),
+  })
+
+  // Save message to database
+  const { message: savedMessage, duplicate } = await saveMessage(newMessage)
+  if (duplicate) {
+    return { message: await findPopulatedMessage(savedMessage._id), duplicate: true }
+  }
+  console.log("Message saved to database:", savedMessage._id)
+
+  // Keep the chat list summary in sync
+  await recordMessage(savedMessage)
+
+  // Populate sender and receiver info
+  const populatedMessage = await findPopulatedMessage(savedMessage._id)
+
+  if (group) {
+    // Emit to every member in the group room
+    io.to(group.toString()).emit("newMessage", populatedMessage)
+
+    console.log("Message emitted to group", group.toString())
+  } else {
+    // Emit to sender and receiver
+    io.to(sender.toString()).emit("newMessage", populatedMessage)
+
+    // The receiver's acknowledgement marks the message as delivered,
+    // message requests use their own event so they stay out of the chat list
+    io.to(receiver.toString())
+      .timeout(DELIVERY_ACK_TIMEOUT)
+      .emit(isRequest ? "messageRequest" : "newMessage", populatedMessage, (err, responses) => {
+        if (responses && responses.length > 0) {
+          markDelivered(io, { _id: savedMessage._id }, receiver).catch((error) =>
+            console.error("Error marking message as delivered:", error),
+          )
+        }
+      })
+
+    console.log("Message emitted to sender and receiver")
+  }
+
+  // Message requests don't notify until accepted
+  if (!isRequest) {
+    notifyMentions(io, populatedMessage)
+  }
+
+  return { message: populatedMessage, duplicate: false }
+}
+
+// Check if a user takes part in the conversation a message belongs to
+const canAccessMessage = async (message, userId) => {
+  if (message.sender.toString() === userId) return true
+
+  if (message.group) {
+    const group = await Group.findById(message.group)
+    return Boolean(group && group.isMember(userId))
+  }
+
+  return message.receiver.toString() === userId
+}
+
+// Get the document holding shared state (pins) for a message's conversation
+const getConversationHolder = (message) => {
+  if (message.group) {
+    return Group.findById(message.group)
+  }
+  return Conversation.findOrCreate(message.sender, message.receiver)
+}
+
+/*
+ * The helpers below apply a mutation and emit its socket event, so REST
+ * controllers and socket handlers notify the same rooms the same way.
+ * Callers check that the user is allowed to make the change first.
+ */
+
+// Edit a message's text and emit "messageEdited" to the conversation
+const editChatMessage = async (io, message, text) => {
+  if (message.text === text) return message
+
+  const previousMentions = message.mentions.map((mention) => mention.user)
+  message.applyEdit(text)
+  message.mentions = await resolveMentions(message, text)
+  await message.save()
+
+  emitToConversation(io, message, "messageEdited", {
+    messageId: message._id,
+    text: message.text,
+    mentions: message.mentions,
+    editedAt: message.editedAt,
+    editHistory: message.editHistory,
+  })
+
+  // Only users the edit newly mentions are notified
+  notifyMentions(io, message, previousMentions)
+
+  return message
+}
+
+/**
+ * Delete a message for everyone (sender only) or just for one user, and emit
+ * "messageDeleted". Deleting for everyone notifies the whole conversation,
+ * deleting for yourself only syncs your other devices.
+ */
+const deleteChatMessage = async (io, message, userId, forEveryone) => {
+  if (forEveryone) {
+    message.isDeleted = true
+    message.text = "This message was deleted"
+    // Earlier versions and mentions would still show the deleted text
+    message.editHistory = []
+    message.mentions = []
+    await message.save()
+
+    // A deleted message can no longer stay pinned
+    const holder = await getConversationHolder(message)
+    if (holder) {
+      await holder.updateOne({ $pull: { pinnedMessages: { message: message._id } } })
+    }
+  } else {
+    message.deletedFor.push(userId)
+    await message.save()
+  }
+
+  // Keep the chat list unread counters in sync
+  await refreshAfterDelete(message, userId, forEveryone)
+
+  const payload = { messageId: message._id, forEveryone }
+  if (forEveryone) {
+    emitToConversation(io, message, "messageDeleted", payload)
+  } else if (io) {
+    const otherUserId = message.sender.toString() === userId ? message.receiver : message.sender
+    const conversation = message.group ? { group: message.group.toString() } : { userId: otherUserId.toString() }
+    io.to(userId).emit("messageDeleted", { ...payload, ...conversation })
+  }
+
+  return message
+}
+
+// Add a reaction, or remove it if the user already reacted with that emoji, and emit "messageReaction"
+const toggleReaction = async (io, message, userId, emoji) => {
+  const existingReaction = message.reactions.find(
+    (reaction) => reaction.user.toString() === userId && reaction.emoji === emoji,
+  )
+
+  if (existingReaction) {
+    message.reactions = message.reactions.filter(
+      (reaction) => !(reaction.user.toString() === userId && reaction.emoji === emoji),
+    )
+  } else {
+    message.reactions.push({ user: userId, emoji })
+  }
+
+  await message.save()
+
+  emitToConversation(io, message, "messageReaction", {
+    messageId: message._id,
+    reactions: message.reactions,
+    reactedBy: userId,
+    emoji,
+    added: !existingReaction,
+  })
+
+  return message
+}
+
+/**
+ * Record that a user played a voice note and tell the sender with "voiceNotePlayed".
+ * Returns { played } (false when the user already played it), or { error }.
+ */
+const markVoiceNotePlayed = async (io, message, userId) => {
+  if (!message.voiceNote || message.isDeleted) {
+    return { error: "This message is not a voice note" }
+  }
+
+  if (message.sender.toString() === userId || !(await canAccessMessage(message, userId))) {
+    return { error: "Not authorized to play this voice note" }
+  }
+
+  const playedAt = new Date()
+  const result = await Message.updateOne(
+    { _id: message._id, "voiceNote.playedBy.user": { $ne: userId } },
+    { $push: { "voiceNote.playedBy": { user: userId, playedAt } } },
+  )
+  if (result.modifiedCount === 0) {
+    return { played: false }
+  }
+
+  if (io) {
+    const conversation = message.group ? { group: message.group.toString() } : {}
+    io.to(message.sender.toString()).emit("voiceNotePlayed", {
+      messageId: message._id,
+      userId,
+      playedAt,
+      ...conversation,
+    })
+  }
+
+  return { played: true }
+}
+
+/**
+ * Mark a message as read by a user, notifying the sender with "messageStatusUpdate".
+ * Returns { read } (false when it was already read), or { error } when the
+ * user can't mark this message as read.
+ */
+const readChatMessage = async (io, message, readerId) => {
+  // Group messages are tracked per member
+  if (message.group) {
+    const group = await Group.findById(message.group)
+    if (!group || !group.isMember(readerId) || message.sender.toString() === readerId) {
+      return { error: "Not authorized to mark this message as read" }
+    }
+
+    return { read: await markGroupMessageRead(io, message, readerId) }
+  }
+
+  // Only receiver can mark message as read
+  if (message.receiver.toString() !== readerId) {
+    return { error: "Not authorized to mark this message as read" }
+  }
+
+  // Opening a one-time view message uses up its view. Only this explicit read does,
+  // loading the chat history marks messages read without viewing them
+  if (message.oneTimeView && !message.viewedAt) {
+    message.viewedAt = new Date()
+    await Message.updateOne({ _id: message._id, viewedAt: null }, { viewedAt: message.viewedAt })
+  }
+
+  // Senders of message requests don't get read receipts until the request is accepted
+  if (await isMessageRequest(readerId, message.sender)) {
+    return { read: false }
+  }
+
+  const readIds = await markRead(io, { _id: message._id }, readerId)
+  return { read: readIds.length > 0 }
+}
+
+/**
+ * Emit an event to everyone in the conversation a message belongs to.
+ *
+ * Group events go to the group room with the group ID. One-to-one events go to
+ * both users, each with userId set to the other participant so clients can
+ * match it to the conversation they have open.
+ */
+const emitToConversation = (io, message, event, payload) => {
+  if (!io) return
+
+  if (message.group) {
+    const groupId = (message.group._id || message.group).toString()
+    io.to(groupId).emit(event, { ...payload, group: groupId })
+    return
+  }
+
+  const senderId = (message.sender._id || message.sender).toString()
+  const receiverId = (message.receiver._id || message.receiver).toString()
+  io.to(senderId).emit(event, { ...payload, userId: receiverId })
+  io.to(receiverId).emit(event, { ...payload, userId: senderId })
+}
+
+module.exports = {
+  isValidClientMessageId,
+  findPopulatedMessage,
+  findSentMessage,
+  saveMessage,
+  sendChatMessage,
+  canAccessMessage,
+  getConversationHolder,
+  editChatMessage,
+  deleteChatMessage,
+  toggleReaction,
+  readChatMessage,
+  markVoiceNotePlayed,
+  emitToConversation,
+}
@@ -0,0 +1,33 @@
+const User = require("../models/User")
+
+/**
+ * Filter for the active stories a user may see: their own and their friends',
+ * leaving out friends who have blocked them.
+ */
+const visibleStoriesFilter = async (userId, now = new Date()) => {
+  const user = await User.findById(userId).select("friends")
+  const friends = user ? user.friends : []
+  const blockers = await User.find({ _id: { $in: friends }, blockedUsers: userId }).select("_id")
+  const blockerIds = new Set(blockers.map((blocker) => blocker._id.toString()))
+
+  return {
+    user: { $in: [userId, ...friends.filter((id) => !blockerIds.has(id.toString()))] },
+    expiresAt: { $gt: now },
+  }
+}
+
+// Only the owner sees who viewed a story, everyone else only sees their own view
+const formatStory = (story, userId) => {
+  const ownerId = (story.user._id || story.user).toString()
+  const formatted = story.toJSON()
+
+  if (ownerId !== userId) {
+    formatted.viewers = formatted.viewers.filter((viewer) => viewer.user && viewer.user.toString() === userId)
+  }
+  return formatted
+}
+
+module.exports = {
+  visibleStoriesFilter,
+  formatStory,
+}
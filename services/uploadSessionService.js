@@ -0,0 +1,185 @@
+const crypto = require("crypto")
+const { Readable } = require("stream")
+const UploadSession = require("../models/UploadSession")
+const UploadChunk = require("../models/UploadChunk")
+
+// Default largest chunk, overridable with UPLOAD_CHUNK_MAX_BYTES.
+// Chunks are MongoDB documents, which can't be larger than 16MB
+const DEFAULT_CHUNK_MAX_BYTES = 8 * 1024 * 1024
+const CHUNK_MAX_BYTES_LIMIT = 15 * 1024 * 1024
+
+// Sessions that receive nothing for this long are abandoned and removed
+const SESSION_TIMEOUT = 24 * 60 * 60 * 1000
+
+// How often to look for abandoned sessions
+const CLEANUP_INTERVAL = 60 * 60 * 1000
+
+const CHUNK_MAX_BYTES = Math.min(
+  Number.parseInt(process.env.UPLOAD_CHUNK_MAX_BYTES) || DEFAULT_CHUNK_MAX_BYTES,
+  CHUNK_MAX_BYTES_LIMIT,
+)
+
+let cleanupTimer = null
+
+const nextExpiry = () => new Date(Date.now() + SESSION_TIMEOUT)
+
+const createUploadSession = (owner, { fileName, size, checksum }) =>
+  UploadSession.create({
+    owner,
+    fileName: fileName ? fileName.slice(0, 255) : null,
+    size,
+    checksum: checksum.toLowerCase(),
+    expiresAt: nextExpiry(),
+  })
+
+/**
+ * Store a chunk at the session's current offset and move the offset past it.
+ *
+ * Returns the updated session, or null when another request moved the offset
+ * first (e.g. a retried chunk), the client should ask for the offset again.
+ */
+const appendChunk = async (session, data) => {
+  const chunkFilter = { session: session._id, offset: session.offset }
+
+  try {
+    await UploadChunk.create({ ...chunkFilter, data })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+
+    // A chunk at the current offset is left from a request that failed before moving
+    // the offset (e.g. a crash), this one replaces it. Written offsets stay as they are
+    const current = await UploadSession.exists({ _id: session._id, status: "active", offset: session.offset })
+    if (!current) return null
+    await UploadChunk.updateOne(chunkFilter, { $set: { data } })
+  }
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: "active", offset: session.offset },
+    { $inc: { offset: data.length }, $set: { expiresAt: nextExpiry() } },
+    { new: true },
+  )
+
+  // The session was finalized or cancelled meanwhile, a concurrent request moving the offset keeps the chunk
+  if (!updated && !(await UploadSession.exists({ _id: session._id, status: "active" }))) {
+    await UploadChunk.deleteOne(chunkFilter)
+  }
+  return updated
+}
+
+// Read the first bytes of an upload, enough to detect its type
+const readUploadHead = async (session, length) => {
+  const cursor = UploadChunk.find({ session: session._id }).sort({ offset: 1 }).cursor()
+  const parts = []
+  let received = 0
+
+  try {
+    for (let chunk = await cursor.next(); chunk && received < length; chunk = await cursor.next()) {
+      parts.push(chunk.data)
+      received += chunk.data.length
+    }
+  } finally {
+    await cursor.close()
+  }
+
+  return Buffer.concat(parts).subarray(0, length)
+}
+
+/**
+ * Stream a fully received upload from its chunks, one chunk in memory at a
+ * time, hashing it on the way.
+ *
+ * Returns { stream, missingChunks, checksum }. The stream fails when chunks
+ * are missing (missingChunks is then true), checksum is the SHA-256 in hex
+ * once the stream ended.
+ */
+const openUploadStream = (session) => {
+  const upload = { stream: null, missingChunks: false, checksum: null }
+
+  async function* readChunks() {
+    const hash = crypto.createHash("sha256")
+    const cursor = UploadChunk.find({ session: session._id }).sort({ offset: 1 }).cursor()
+    let received = 0
+
+    try {
+      for (let chunk = await cursor.next(); chunk && chunk.offset === received; chunk = await cursor.next()) {
+        hash.update(chunk.data)
+        received += chunk.data.length
+        yield chunk.data
+      }
+    } finally {
+      await cursor.close()
+    }
+
+    if (received !== session.size) {
+      upload.missingChunks = true
+      throw new Error("Upload is missing chunks")
+    }
+    upload.checksum = hash.digest("hex")
+  }
+
+  upload.stream = Readable.from(readChunks(), { objectMode: false })
+  return upload
+}
+
+/**
+ * Mark a session finalized into a media record and drop its chunks. The
+ * session is kept until it expires so retried finalize requests get the same media.
+ *
+ * Returns the updated session, or null when another request finalized it first.
+ */
+const completeUploadSession = async (session, media) => {
+  const completed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: "active" },
+    { $set: { status: "completed", media: media._id, expiresAt: nextExpiry() } },
+    { new: true },
+  )
+
+  if (completed) {
+    await UploadChunk.deleteMany({ session: session._id })
+  }
+  return completed
+}
+
+const removeUploadSession = async (session) => {
+  await UploadChunk.deleteMany({ session: session._id })
+  await UploadSession.deleteOne({ _id: session._id })
+}
+
+// Remove sessions (and their chunks) that expired, finalized ones only keep their media
+const removeExpiredSessions = async () => {
+  try {
+    const expired = await UploadSession.find({ expiresAt: { $lte: new Date() } }).select("_id")
+    for (const session of expired) {
+      await removeUploadSession(session)
+    }
+  } catch (error) {
+    console.error("Error removing expired upload sessions:", error)
+  }
+}
+
+// Start the cleanup of abandoned uploads, including ones abandoned while the server was down
+const startUploadCleanup = () => {
+  if (cleanupTimer) return
+
+  cleanupTimer = setInterval(removeExpiredSessions, CLEANUP_INTERVAL)
+  removeExpiredSessions()
+}
+
+const stopUploadCleanup = () => {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer)
+    cleanupTimer = null
+  }
+}
+
+module.exports = {
+  CHUNK_MAX_BYTES,
+  createUploadSession,
+  appendChunk,
+  readUploadHead,
+  openUploadStream,
+  completeUploadSession,
+  removeUploadSession,
+  startUploadCleanup,
+  stopUploadCleanup,
+}
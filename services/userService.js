@@ -0,0 +1,37 @@
+const User = require("../models/User")
+const { endLiveLocationSessions } = require("./liveLocationService")
+
+/**
+ * Add blockedUserId to a loaded user's blocked list, drop the two users from
+ * each other's contacts, friends and friend requests and stop live location
+ * sharing between them, in both directions.
+ */
+const applyBlock = async (io, user, blockedUserId) => {
+  const userId = user._id.toString()
+
+  user.blockedUsers.push(blockedUserId)
+  user.contacts = user.contacts.filter((contact) => contact.toString() !== blockedUserId)
+  user.friends = user.friends.filter((friend) => friend.toString() !== blockedUserId)
+  user.receivedFriendRequests = user.receivedFriendRequests.filter((id) => id.toString() !== blockedUserId)
+  user.sentFriendRequests = user.sentFriendRequests.filter((id) => id.toString() !== blockedUserId)
+  await user.save()
+
+  const blockedUser = await User.findById(blockedUserId)
+  if (blockedUser) {
+    blockedUser.friends = blockedUser.friends.filter((friend) => friend.toString() !== userId)
+    blockedUser.receivedFriendRequests = blockedUser.receivedFriendRequests.filter((id) => id.toString() !== userId)
+    blockedUser.sentFriendRequests = blockedUser.sentFriendRequests.filter((id) => id.toString() !== userId)
+    await blockedUser.save()
+  }
+
+  await endLiveLocationSessions(io, {
+    $or: [
+      { sharer: userId, receiver: blockedUserId },
+      { sharer: blockedUserId, receiver: userId },
+    ],
+  })
+}
+
+module.exports = {
+  applyBlock,
+}
@@ -0,0 +1,371 @@
+/**
+ * Reads the duration and a compact waveform of voice note audio (WAV, MP3, Ogg)
+ *
+ * WAV waveforms come straight from the PCM samples. Compressed audio isn't
+ * decoded here, so MP3 waveforms use the global gain of each frame and Ogg
+ * (Vorbis/Opus) waveforms use the size of each packet as a loudness proxy.
+ * Waveforms have up to WAVEFORM_BARS peaks scaled 0-100.
+ */
+
+const WAVEFORM_BARS = 64
+
+// Samples read per waveform bar for WAV files, enough for a peak without reading every sample
+const WAV_SAMPLES_PER_BAR = 4000
+
+// Reduce per-unit levels (samples, frames, packets) to WAVEFORM_BARS peaks scaled 0-100
+const buildWaveform = (levels, floor = 0) => {
+  if (levels.length === 0) return []
+
+  const barCount = Math.min(WAVEFORM_BARS, levels.length)
+  const peaks = []
+  for (let bar = 0; bar < barCount; bar++) {
+    const start = Math.floor((bar * levels.length) / barCount)
+    const end = Math.floor(((bar + 1) * levels.length) / barCount)
+    peaks.push(Math.max(...levels.slice(start, end)))
+  }
+
+  const max = Math.max(...peaks)
+  if (max <= floor) return peaks.map(() => 0)
+  return peaks.map((peak) => Math.max(0, Math.round(((peak - floor) / (max - floor)) * 100)))
+}
+
+// ---- WAV ----
+
+// Read one sample of channel 0 as a value between -1 and 1
+const sampleReaders = {
+  "1:8": (buffer, offset) => (buffer.readUInt8(offset) - 128) / 128,
+  "1:16": (buffer, offset) => buffer.readInt16LE(offset) / 32768,
+  "1:24": (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608,
+  "1:32": (buffer, offset) => buffer.readInt32LE(offset) / 2147483648,
+  "3:32": (buffer, offset) => buffer.readFloatLE(offset),
+}
+
+const analyzeWav = (buffer) => {
+  let offset = 12
+  let format = null
+  let data = null
+
+  while (offset + 8 <= buffer.length && !data) {
+    const chunkId = buffer.toString("ascii", offset, offset + 4)
+    const chunkSize = buffer.readUInt32LE(offset + 4)
+    const start = offset + 8
+
+    if (chunkId === "fmt " && start + 16 <= buffer.length) {
+      format = {
+        audioFormat: buffer.readUInt16LE(start),
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        byteRate: buffer.readUInt32LE(start + 8),
+        blockAlign: buffer.readUInt16LE(start + 12),
+        bitsPerSample: buffer.readUInt16LE(start + 14),
+      }
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+      if (format.audioFormat === 0xfffe && chunkSize >= 26 && start + 26 <= buffer.length) {
+        format.audioFormat = buffer.readUInt16LE(start + 24)
+      }
+    } else if (chunkId === "data") {
+      data = { start, size: Math.min(chunkSize, buffer.length - start) }
+    }
+
+    // Chunks are padded to an even size
+    offset = start + chunkSize + (chunkSize % 2)
+  }
+
+  if (!format || !data || !format.channels || !format.sampleRate) {
+    return { error: "Invalid WAV file" }
+  }
+
+  // The duration comes from the frame layout players use, byteRate is only a hint
+  // and mustn't disagree with it (an inflated one would shorten the reported duration)
+  const { channels, sampleRate, byteRate, blockAlign, bitsPerSample } = format
+  if (blockAlign !== channels * Math.ceil(bitsPerSample / 8) || byteRate !== sampleRate * blockAlign) {
+    return { error: "Invalid WAV file" }
+  }
+
+  const readSample = sampleReaders[`${format.audioFormat}:${format.bitsPerSample}`]
+  if (!readSample) {
+    return { error: "Unsupported WAV encoding, use PCM or 32-bit float" }
+  }
+
+  const frameCount = Math.floor(data.size / format.blockAlign)
+  const barCount = Math.min(WAVEFORM_BARS, frameCount)
+  const levels = []
+
+  for (let bar = 0; bar < barCount; bar++) {
+    const first = Math.floor((bar * frameCount) / barCount)
+    const last = Math.floor(((bar + 1) * frameCount) / barCount)
+    const step = Math.max(1, Math.floor((last - first) / WAV_SAMPLES_PER_BAR))
+
+    let peak = 0
+    for (let frame = first; frame < last; frame += step) {
+      peak = Math.max(peak, Math.abs(readSample(buffer, data.start + frame * format.blockAlign)))
+    }
+    levels.push(peak)
+  }
+
+  return {
+    format: "wav",
+    mimeType: "audio/wav",
+    extension: "wav",
+    duration: frameCount / format.sampleRate,
+    waveform: buildWaveform(levels),
+  }
+}
+
+// ---- MP3 ----
+
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+}
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+}
+const MPEG_VERSIONS = { 0: 2.5, 2: 2, 3: 1 }
+
+// Parse an MPEG audio Layer III frame header, null when the bytes aren't one
+const parseMp3Header = (buffer, offset) => {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null
+
+  const version = MPEG_VERSIONS[(buffer[offset + 1] >> 3) & 3]
+  const layer = (buffer[offset + 1] >> 1) & 3
+  const bitrateIndex = buffer[offset + 2] >> 4
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 3
+  if (!version || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null
+
+  const bitrate = MP3_BITRATES[version === 1 ? 1 : 2][bitrateIndex] * 1000
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex]
+  const padding = (buffer[offset + 2] >> 1) & 1
+  const coefficient = version === 1 ? 144 : 72
+
+  return {
+    version,
+    sampleRate,
+    samples: version === 1 ? 1152 : 576,
+    hasCrc: (buffer[offset + 1] & 1) === 0,
+    mono: buffer[offset + 3] >> 6 === 3,
+    length: Math.floor((coefficient * bitrate) / sampleRate) + padding,
+  }
+}
+
+// Read count bits (at most 24) starting bitOffset bits into the buffer from byteOffset
+const readBits = (buffer, byteOffset, bitOffset, count) => {
+  let value = 0
+  for (let i = 0; i < count; i++) {
+    const bit = bitOffset + i
+    const byte = buffer[byteOffset + (bit >> 3)] || 0
+    value = (value << 1) | ((byte >> (7 - (bit & 7))) & 1)
+  }
+  return value
+}
+
+// Global gain of the first granule, 0 for silent frames with no coded data
+const readGlobalGain = (buffer, offset, header) => {
+  const sideInfo = offset + 4 + (header.hasCrc ? 2 : 0)
+  // Bits before the first granule: main_data_begin, private bits and (MPEG 1) scfsi
+  let granuleStart = 8 + (header.mono ? 1 : 2)
+  if (header.version === 1) {
+    granuleStart = header.mono ? 18 : 20
+  }
+
+  const part23Length = readBits(buffer, sideInfo, granuleStart, 12)
+  if (part23Length === 0) return 0
+  return readBits(buffer, sideInfo, granuleStart + 21, 8)
+}
+
+const analyzeMp3 = (buffer) => {
+  let offset = 0
+
+  // Skip an ID3v2 tag (its size is stored as a 28-bit "syncsafe" integer)
+  if (buffer.toString("ascii", 0, 3) === "ID3" && buffer.length >= 10) {
+    const tagSize = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]
+    offset = 10 + tagSize + (buffer[5] & 0x10 ? 10 : 0)
+  }
+
+  let sampleRate = null
+  let samples = 0
+  const levels = []
+
+  while (offset + 4 <= buffer.length) {
+    const header = parseMp3Header(buffer, offset)
+    if (!header || offset + header.length > buffer.length) {
+      offset++
+      continue
+    }
+
+    sampleRate = sampleRate || header.sampleRate
+    samples += header.samples
+    levels.push(readGlobalGain(buffer, offset, header))
+    offset += header.length
+  }
+
+  if (!sampleRate) {
+    return { error: "Invalid MP3 file" }
+  }
+
+  // Gains are logarithmic, measure from the quietest frame that had sound
+  const audible = levels.filter((level) => level > 0)
+  const floor = audible.length > 0 ? Math.min(...audible) - 1 : 0
+
+  return {
+    format: "mp3",
+    mimeType: "audio/mpeg",
+    extension: "mp3",
+    duration: samples / sampleRate,
+    waveform: buildWaveform(levels, floor),
+  }
+}
+
+// ---- Ogg (Vorbis, Opus) ----
+
+// Opus frame length in 48kHz samples for each TOC config (RFC 6716 3.1): SILK, hybrid, then CELT modes
+const OPUS_FRAME_SAMPLES = [
+  ...Array(3).fill([480, 960, 1920, 2880]).flat(),
+  ...Array(2).fill([480, 960]).flat(),
+  ...Array(4).fill([120, 240, 480, 960]).flat(),
+]
+
+// Samples an Opus packet decodes to, from its TOC byte and (for code 3 packets) frame count byte
+const opusPacketSamples = (toc, countByte) => {
+  const frames = [1, 2, 2, countByte & 0x3f][toc & 3]
+  return OPUS_FRAME_SAMPLES[toc >> 3] * frames
+}
+
+const analyzeOgg = (buffer) => {
+  let offset = 0
+  let serial = null
+  let codec = null
+  let sampleRate = null
+  let preSkip = 0
+  let blockSizes = null
+  let lastGranule = 0
+  let packetIndex = 0
+  let packetSize = 0
+  let packetHead = null
+  const levels = []
+
+  // Range of samples the audio packets decode to, exact for Opus. Vorbis packets
+  // decode to between half its short and half its long block size (nothing for the first)
+  let minSamples = 0
+  let maxSamples = 0
+  let pageMaxSamples = 0
+  let lastPageMaxSamples = 0
+
+  while (offset + 27 <= buffer.length && buffer.toString("ascii", offset, offset + 4) === "OggS") {
+    const granule = Number(buffer.readBigInt64LE(offset + 6))
+    const pageSerial = buffer.readUInt32LE(offset + 14)
+    const segmentCount = buffer[offset + 26]
+    const bodyStart = offset + 27 + segmentCount
+    if (bodyStart > buffer.length) break
+
+    serial = serial === null ? pageSerial : serial
+
+    let bodyOffset = bodyStart
+    for (let i = 0; i < segmentCount; i++) {
+      const segmentSize = buffer[offset + 27 + i]
+      if (pageSerial === serial) {
+        if (packetSize === 0) {
+          packetHead = [buffer[bodyOffset], buffer[bodyOffset + 1]]
+        }
+
+        // The first packet identifies the codec
+        if (packetIndex === 0 && packetSize === 0 && bodyOffset + 29 <= buffer.length) {
+          if (buffer.toString("ascii", bodyOffset, bodyOffset + 8) === "OpusHead") {
+            codec = "opus"
+            sampleRate = 48000
+            preSkip = buffer.readUInt16LE(bodyOffset + 10)
+          } else if (buffer.toString("ascii", bodyOffset + 1, bodyOffset + 7) === "vorbis") {
+            codec = "vorbis"
+            sampleRate = buffer.readUInt32LE(bodyOffset + 12)
+            blockSizes = [1 << (buffer[bodyOffset + 28] & 0x0f), 1 << (buffer[bodyOffset + 28] >> 4)]
+          }
+        }
+
+        // Packets span segments until one is shorter than 255 bytes
+        packetSize += segmentSize
+        if (segmentSize < 255) {
+          // Opus has 2 header packets, Vorbis 3
+          const firstAudioPacket = codec === "opus" ? 2 : 3
+          if (packetIndex >= firstAudioPacket && packetSize > 0) {
+            levels.push(packetSize)
+
+            if (codec === "opus") {
+              const samples = opusPacketSamples(packetHead[0], packetHead[1])
+              minSamples += samples
+              maxSamples += samples
+              pageMaxSamples += samples
+            } else if (codec === "vorbis" && packetIndex > firstAudioPacket) {
+              minSamples += blockSizes[0] / 2
+              maxSamples += blockSizes[1] / 2
+              pageMaxSamples += blockSizes[1] / 2
+            }
+          }
+          packetIndex++
+          packetSize = 0
+        }
+      }
+      bodyOffset += segmentSize
+    }
+
+    // -1 marks pages where no packet ends
+    if (pageSerial === serial && granule > 0) {
+      lastGranule = granule
+      lastPageMaxSamples = pageMaxSamples
+      pageMaxSamples = 0
+    }
+
+    offset = bodyOffset
+  }
+
+  if (!codec || !sampleRate) {
+    return { error: "Unsupported Ogg file, use Vorbis or Opus audio" }
+  }
+
+  // The last granule position gives the duration, it must agree with the packets in the file.
+  // Only the last page can trim samples, so it can't be below the rest of the packets' samples
+  if (lastGranule > maxSamples || lastGranule < minSamples - lastPageMaxSamples) {
+    return { error: "Invalid Ogg file" }
+  }
+
+  return {
+    format: "ogg",
+    mimeType: codec === "opus" ? "audio/ogg; codecs=opus" : "audio/ogg",
+    extension: "ogg",
+    duration: Math.max(0, lastGranule - preSkip) / sampleRate,
+    waveform: buildWaveform(levels),
+  }
+}
+
+/**
+ * Work out the format of an audio buffer and read its metadata.
+ *
+ * Returns { format, mimeType, extension, duration, waveform } with the
+ * duration in seconds, or { error } when the audio can't be read.
+ */
+const analyzeAudio = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return { error: "Audio file is empty" }
+  }
+
+  let result
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WAVE") {
+    result = analyzeWav(buffer)
+  } else if (buffer.toString("ascii", 0, 4) === "OggS") {
+    result = analyzeOgg(buffer)
+  } else if (buffer.toString("ascii", 0, 3) === "ID3" || parseMp3Header(buffer, 0)) {
+    result = analyzeMp3(buffer)
+  } else {
+    return { error: "Unsupported audio format, use WAV, OGG or MP3" }
+  }
+
+  if (result.error) return result
+
+  return { ...result, duration: Math.round(result.duration * 100) / 100 }
+}
+
+module.exports = {
+  WAVEFORM_BARS,
+  analyzeAudio,
+}
@@ -0,0 +1,89 @@
+/**
+ * Helpers for per-user conversation settings (mute, archive, unread, wallpaper)
+ */
+
+const ConversationSetting = require("../models/ConversationSetting")
+
+// "Always" mutes are stored as a date far in the future
+const MUTED_FOREVER = new Date("9999-12-31T23:59:59.999Z")
+
+// Validate a settings update from a client
+// Returns { update } with the fields to set, or { error }
+const parseSettingsUpdate = (body) => {
+  const { mutedUntil, archived, markedUnread, wallpaper } = body
+  const update = {}
+
+  if (mutedUntil !== undefined) {
+    if (mutedUntil === null) {
+      update.mutedUntil = null
+    } else if (mutedUntil === "always") {
+      update.mutedUntil = MUTED_FOREVER
+    } else {
+      const date = new Date(mutedUntil)
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        return { error: 'mutedUntil must be a future date, "always" or null' }
+      }
+      update.mutedUntil = date
+    }
+  }
+
+  if (archived !== undefined) {
+    if (typeof archived !== "boolean") return { error: "archived must be a boolean" }
+    update.archived = archived
+  }
+
+  if (markedUnread !== undefined) {
+    if (typeof markedUnread !== "boolean") return { error: "markedUnread must be a boolean" }
+    update.markedUnread = markedUnread
+  }
+
+  if (wallpaper !== undefined) {
+    if (wallpaper !== null && typeof wallpaper !== "string") return { error: "wallpaper must be a string or null" }
+    update.wallpaper = wallpaper || null
+  }
+
+  if (Object.keys(update).length === 0) {
+    return { error: "No settings to update" }
+  }
+
+  return { update }
+}
+
+// Apply an update to a user's settings in a conversation, creating them on first use
+const updateSettings = (userId, conversation, update) => {
+  const filter = ConversationSetting.filterFor(userId, conversation)
+  return ConversationSetting.findOneAndUpdate(
+    filter,
+    { $set: update },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  )
+}
+
+// Build the settings sent to clients, falling back to defaults and the user's own background
+const formatSettings = (setting, user) => ({
+  isMuted: setting ? setting.isMuted() : false,
+  mutedUntil: setting && setting.isMuted() ? setting.mutedUntil : null,
+  archived: setting ? setting.archived : false,
+  markedUnread: setting ? setting.markedUnread : false,
+  wallpaper: (setting && setting.wallpaper) || (user && user.customBackground) || null,
+})
+
+// Load all of a user's settings, keyed by the peer or group ID
+const getSettingsMap = async (userId) => {
+  const settings = await ConversationSetting.find({ user: userId })
+  const settingsMap = new Map()
+
+  settings.forEach((setting) => {
+    const key = (setting.group || setting.peer).toString()
+    settingsMap.set(key, setting)
+  })
+
+  return settingsMap
+}
+
+module.exports = {
+  parseSettingsUpdate,
+  updateSettings,
+  formatSettings,
+  getSettingsMap,
+}
@@ -0,0 +1,58 @@
+/**
+ * Helpers for per-conversation disappearing messages
+ */
+
+const Conversation = require("../models/Conversation")
+const Group = require("../models/Group")
+
+const HOUR = 60 * 60 * 1000
+
+// Supported timers and how long messages live under each
+const DISAPPEARING_TIMERS = {
+  off: null,
+  "24h": 24 * HOUR,
+  "7d": 7 * 24 * HOUR,
+  "90d": 90 * 24 * HOUR,
+}
+
+const TIMER_LABELS = {
+  "24h": "24 hours",
+  "7d": "7 days",
+  "90d": "90 days",
+}
+
+// Get the current timer for a one-to-one or group conversation
+const getDisappearingTimer = async ({ sender, receiver, group }) => {
+  if (group) {
+    const targetGroup = await Group.findById(group).select("disappearingTimer")
+    return (targetGroup && targetGroup.disappearingTimer) || "off"
+  }
+
+  const conversation = await Conversation.findBetween(sender, receiver)
+  return (conversation && conversation.disappearingTimer) || "off"
+}
+
+// Work out when a new message should expire, or null if it should be kept
+const getMessageExpiry = async (messageData) => {
+  // Notices about the conversation itself are never removed
+  if (messageData.messageType === "system") return null
+
+  const timer = await getDisappearingTimer(messageData)
+  const duration = DISAPPEARING_TIMERS[timer]
+  return duration ? new Date(Date.now() + duration) : null
+}
+
+// Build the system message text announcing a timer change
+const describeTimerChange = (userName, timer) => {
+  if (timer === "off") {
+    return `${userName} turned off disappearing messages.`
+  }
+  return `${userName} turned on disappearing messages. New messages will disappear ${TIMER_LABELS[timer]} after they're sent.`
+}
+
+module.exports = {
+  DISAPPEARING_TIMERS,
+  getDisappearingTimer,
+  getMessageExpiry,
+  describeTimerChange,
+}
@@ -0,0 +1,81 @@
+/**
+ * Helpers for storing uploaded files through the configured storage driver
+ *
+ * STORAGE_DRIVER selects "local" (the default, files in uploads/) or "s3"
+ * (S3-compatible object storage, see storage/s3Storage.js). Files are
+ * addressed by their stored URL everywhere else in the app, clients download
+ * them through signed media URLs.
+ */
+
+const crypto = require("crypto")
+const { UPLOADS_DIR, createLocalStorage } = require("./storage/localStorage")
+const { createS3Storage } = require("./storage/s3Storage")
+
+const DRIVERS = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+}
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local"
+
+if (!DRIVERS[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}", use ${Object.keys(DRIVERS).join(" or ")}`)
+}
+
+const storage = DRIVERS[STORAGE_DRIVER]()
+const localStorage = storage.name === "local" ? storage : createLocalStorage()
+
+// Find the driver holding a URL, files uploaded before a switch to another driver stay on local disk
+const resolveUrl = (url) => {
+  if (!url) return null
+
+  for (const driver of [storage, localStorage]) {
+    const key = driver.keyFromUrl(url)
+    if (key) return { storage: driver, key }
+  }
+  return null
+}
+
+// Whether a URL points at a stored file, those are only handed out through signed media URLs
+const isStoredUrl = (url) => Boolean(resolveUrl(url))
+
+// Store a file (a buffer, or a readable stream of size bytes) and return its URL,
+// named like "<prefix>-<timestamp>-<random>.<extension>"
+const saveUpload = async (body, { prefix, extension, contentType, size }) => {
+  const key = `${prefix}-${Date.now()}-${crypto.randomInt(1e9)}.${extension}`
+
+  try {
+    await storage.save(key, body, contentType, size)
+  } catch (error) {
+    // Don't leave part of a failed stream behind
+    await storage.remove(key).catch(() => {})
+    throw error
+  }
+
+  return storage.urlFor(key)
+}
+
+// Stream a stored file by its URL, range is { start, end } (inclusive). Null when the file is missing
+const readUpload = async (url, range = null) => {
+  const stored = resolveUrl(url)
+  if (!stored) return null
+
+  return stored.storage.read(stored.key, range)
+}
+
+// Remove a stored file by its URL, ignoring files that are already gone
+const removeUpload = async (url) => {
+  const stored = resolveUrl(url)
+  if (!stored) return
+
+  await stored.storage.remove(stored.key)
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  storage,
+  isStoredUrl,
+  saveUpload,
+  readUpload,
+  removeUpload,
+}
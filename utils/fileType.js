@@ -0,0 +1,127 @@
+/**
+ * Detects the real type of an uploaded file from its first bytes ("magic bytes"),
+ * ignoring the name and content type the client claims
+ */
+
+// ISO base media (MP4 family) brands, read from the "ftyp" box
+const FTYP_BRANDS = {
+  heic: { kind: "image", mimeType: "image/heic", extension: "heic" },
+  heix: { kind: "image", mimeType: "image/heic", extension: "heic" },
+  mif1: { kind: "image", mimeType: "image/heif", extension: "heif" },
+  avif: { kind: "image", mimeType: "image/avif", extension: "avif" },
+  "M4A ": { kind: "audio", mimeType: "audio/mp4", extension: "m4a" },
+  "qt  ": { kind: "video", mimeType: "video/quicktime", extension: "mov" },
+  "3gp4": { kind: "video", mimeType: "video/3gpp", extension: "3gp" },
+  "3gp5": { kind: "video", mimeType: "video/3gpp", extension: "3gp" },
+}
+const MP4 = { kind: "video", mimeType: "video/mp4", extension: "mp4" }
+
+// Office Open XML documents are ZIP files, told apart by their main folder
+const OFFICE_FOLDERS = [
+  {
+    folder: "word/",
+    kind: "document",
+    mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extension: "docx",
+  },
+  {
+    folder: "xl/",
+    kind: "document",
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  {
+    folder: "ppt/",
+    kind: "document",
+    mimeType: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    extension: "pptx",
+  },
+]
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte)
+
+const ascii = (buffer, start, end) => buffer.toString("ascii", start, Math.min(end, buffer.length))
+
+// Plain text has no magic bytes, accept valid UTF-8 without control characters
+const isPlainText = (buffer) => {
+  const sample = buffer.subarray(0, 4096)
+  if (sample.length === 0) return false
+
+  for (const byte of sample) {
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20 && byte !== 0x1b)) return false
+  }
+
+  // A multi-byte character cut off at the end of the sample is fine
+  const text = sample.toString("utf8")
+  return !text.slice(0, -1).includes("\uFFFD")
+}
+
+/**
+ * Detect a file's type from its contents.
+ *
+ * Returns { kind, mimeType, extension } where kind is "image", "video",
+ * "audio" or "document", or null for unsupported files.
+ */
+const detectFileType = (buffer) => {
+  if (!buffer || buffer.length < 4) return null
+
+  // Images
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return { kind: "image", mimeType: "image/jpeg", extension: "jpg" }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { kind: "image", mimeType: "image/png", extension: "png" }
+  }
+  if (["GIF87a", "GIF89a"].includes(ascii(buffer, 0, 6)))
+    return { kind: "image", mimeType: "image/gif", extension: "gif" }
+  if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP") {
+    return { kind: "image", mimeType: "image/webp", extension: "webp" }
+  }
+
+  // MP4 family (video, M4A audio, HEIC images)
+  if (ascii(buffer, 4, 8) === "ftyp") {
+    return FTYP_BRANDS[ascii(buffer, 8, 12)] || MP4
+  }
+
+  // Video
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    // WebM is Matroska with a "webm" doc type
+    return ascii(buffer, 0, 64).includes("webm")
+      ? { kind: "video", mimeType: "video/webm", extension: "webm" }
+      : { kind: "video", mimeType: "video/x-matroska", extension: "mkv" }
+  }
+
+  // Audio
+  if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WAVE") {
+    return { kind: "audio", mimeType: "audio/wav", extension: "wav" }
+  }
+  if (ascii(buffer, 0, 4) === "OggS") return { kind: "audio", mimeType: "audio/ogg", extension: "ogg" }
+  if (ascii(buffer, 0, 4) === "fLaC") return { kind: "audio", mimeType: "audio/flac", extension: "flac" }
+  if (ascii(buffer, 0, 3) === "ID3" || (buffer[0] === 0xff && (buffer[1] & 0xe6) === 0xe2)) {
+    return { kind: "audio", mimeType: "audio/mpeg", extension: "mp3" }
+  }
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0)
+    return { kind: "audio", mimeType: "audio/aac", extension: "aac" }
+
+  // Documents
+  if (ascii(buffer, 0, 5) === "%PDF-") return { kind: "document", mimeType: "application/pdf", extension: "pdf" }
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    const names = ascii(buffer, 0, 8192)
+    const office = OFFICE_FOLDERS.find(({ folder }) => names.includes(folder))
+    if (office) {
+      const { folder, ...type } = office
+      return type
+    }
+    return { kind: "document", mimeType: "application/zip", extension: "zip" }
+  }
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    // Legacy Office files (doc, xls, ppt) share one container format
+    return { kind: "document", mimeType: "application/x-ole-storage", extension: "doc" }
+  }
+  if (isPlainText(buffer)) return { kind: "document", mimeType: "text/plain", extension: "txt" }
+
+  return null
+}
+
+module.exports = {
+  detectFileType,
+}
@@ -0,0 +1,74 @@
+/**
+ * Builds the resized variants and blur placeholder of an uploaded image
+ *
+ * Variants are WebP images whose longest side is at most one of
+ * VARIANT_SIZES, images are never enlarged. The placeholder is a tiny
+ * blurred JPEG as a data URI, small enough to embed in every response.
+ */
+
+const sharp = require("sharp")
+
+// Longest side of each variant in pixels: list thumbnails, chat bubbles, full screen
+const VARIANT_SIZES = [64, 320, 1080]
+
+// Longest side of the blur placeholder
+const PLACEHOLDER_SIZE = 16
+
+// Orient the image like its EXIF data says, the variants drop the EXIF data
+const loadImage = (buffer) => sharp(buffer, { failOn: "error" }).rotate()
+
+const buildPlaceholder = async (buffer) => {
+  const placeholder = await loadImage(buffer)
+    .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: "inside" })
+    .blur()
+    .jpeg({ quality: 50 })
+    .toBuffer()
+
+  return `data:image/jpeg;base64,${placeholder.toString("base64")}`
+}
+
+/**
+ * Resize an image into its variants.
+ *
+ * Returns { width, height, placeholder, variants } where each variant is
+ * { size, width, height, buffer }, or { error } when the image can't be decoded.
+ */
+const createImageVariants = async (buffer) => {
+  let metadata
+  try {
+    metadata = await sharp(buffer).metadata()
+  } catch (error) {
+    return { error: "Image could not be read" }
+  }
+
+  // EXIF orientations 5-8 swap width and height
+  const rotated = metadata.orientation >= 5
+  const width = rotated ? metadata.height : metadata.width
+  const height = rotated ? metadata.width : metadata.height
+  if (!width || !height) {
+    return { error: "Image could not be read" }
+  }
+
+  try {
+    const longestSide = Math.max(width, height)
+    const variants = []
+
+    for (const size of VARIANT_SIZES.filter((variantSize) => variantSize < longestSide)) {
+      const { data, info } = await loadImage(buffer)
+        .resize(size, size, { fit: "inside" })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true })
+
+      variants.push({ size, width: info.width, height: info.height, buffer: data })
+    }
+
+    return { width, height, placeholder: await buildPlaceholder(buffer), variants }
+  } catch (error) {
+    return { error: "Image could not be resized" }
+  }
+}
+
+module.exports = {
+  VARIANT_SIZES,
+  createImageVariants,
+}
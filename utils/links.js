@@ -0,0 +1,35 @@
+/**
+ * Helpers for finding links (http(s) URLs and bare "www." addresses) in message text
+ */
+
+// Used in MongoDB queries to find messages with a link
+const LINK_PATTERN = /(?:https?:\/\/|\bwww\.)\S/i
+
+const LINK_MATCHER = /(?:https?:\/\/|\bwww\.)[^\s<>"]+/gi
+
+// Punctuation that ends a sentence rather than the link, e.g. "see example.com/a."
+const TRAILING_PUNCTUATION = /[.,;:!?'")\]]+$/
+
+// Find the links in a text, bare "www." addresses get an https:// prefix
+const extractLinks = (text) => {
+  if (!text) return []
+
+  const links = []
+  for (const [match] of text.matchAll(LINK_MATCHER)) {
+    let url = match.replace(TRAILING_PUNCTUATION, "")
+    // Keep a closing parenthesis that belongs to the link, like wiki/Foo_(bar)
+    if (match.length > url.length && match[url.length] === ")" && url.includes("(")) {
+      url += ")"
+    }
+
+    const normalized = url.toLowerCase().startsWith("www.") ? `https://${url}` : url
+    if (!links.includes(normalized)) links.push(normalized)
+  }
+
+  return links
+}
+
+module.exports = {
+  LINK_PATTERN,
+  extractLinks,
+}
@@ -0,0 +1,126 @@
+/**
+ * Short-lived signed URLs of uploaded media (GET /api/media/:mediaId/file)
+ *
+ * Stored file URLs never reach clients: messages, stories, profiles and media
+ * records are sent with signed URLs of their media instead, valid for
+ * MEDIA_URL_TTL_SECONDS.
+ */
+
+const crypto = require("crypto")
+const { isStoredUrl } = require("./fileStorage")
+
+// Default lifetime of signed media URLs, overridable with MEDIA_URL_TTL_SECONDS
+const DEFAULT_MEDIA_URL_TTL_SECONDS = 5 * 60
+
+const MEDIA_URL_TTL_SECONDS = Number.parseInt(process.env.MEDIA_URL_TTL_SECONDS) || DEFAULT_MEDIA_URL_TTL_SECONDS
+
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET
+
+// Signature of a media file link, size picks an image variant ("" for the original file)
+const sign = (mediaId, size, expires) =>
+  crypto.createHmac("sha256", MEDIA_URL_SECRET).update(`${mediaId}:${size}:${expires}`).digest("base64url")
+
+// Expiry (in seconds) of URLs signed now
+const urlExpiry = () => Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS
+
+/**
+ * Build the short-lived URL of a media file (GET /api/media/:mediaId/file),
+ * or of one of its image variants when size is given.
+ */
+const signMediaUrl = (mediaId, expires, size = null) => {
+  const query = new URLSearchParams({ expires: String(expires), signature: sign(mediaId, size || "", expires) })
+  if (size) query.set("size", String(size))
+  return `/api/media/${mediaId}/file?${query}`
+}
+
+// Sign the file and variant URLs of a media record, valid for MEDIA_URL_TTL_SECONDS
+const signMedia = (media) => {
+  const expires = urlExpiry()
+
+  return {
+    url: signMediaUrl(media._id, expires),
+    variants: (media.preview ? media.preview.variants : []).map(({ size, width, height }) => ({
+      size,
+      width,
+      height,
+      url: signMediaUrl(media._id, expires, size),
+    })),
+    expiresAt: new Date(expires * 1000),
+  }
+}
+
+// Check a signed link's signature and expiry
+const verifyMediaSignature = (mediaId, size, expires, signature) => {
+  if (!expires || !signature || Number(expires) * 1000 < Date.now()) return false
+
+  const expected = Buffer.from(sign(mediaId, size || "", expires))
+  const given = Buffer.from(String(signature))
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+}
+
+/**
+ * URL and image preview of a file as sent to clients: signed when it is an
+ * upload, dropped when it is a stored file without a media record, and kept
+ * as is when it links somewhere else.
+ */
+const formatMediaUrls = (mediaId, url, preview) => {
+  if (!mediaId) {
+    return isStoredUrl(url) ? { url: null, preview: null } : { url, preview }
+  }
+
+  // Populated media or its ID, and previews of documents as well as of their JSON
+  const id = mediaId._id || mediaId
+  const plainPreview = preview && preview.toObject ? preview.toObject() : preview
+  const expires = urlExpiry()
+  return {
+    url: signMediaUrl(id, expires),
+    preview: plainPreview && {
+      ...plainPreview,
+      variants: plainPreview.variants.map((variant) => ({ ...variant, url: signMediaUrl(id, expires, variant.size) })),
+    },
+  }
+}
+
+// Avatar and avatar preview of a user as sent to clients
+const formatAvatar = (user) => {
+  const { url, preview } = formatMediaUrls(user.avatarMedia, user.avatar, user.avatarPreview)
+  return { avatar: url || "", avatarPreview: preview }
+}
+
+/**
+ * Attachment fields of a message or story JSON without any file URL, keeping
+ * the image dimensions so clients can still lay it out. Populated media loses
+ * its URLs too.
+ */
+const hideAttachmentUrls = (item) => ({
+  ...(item.media && "url" in item.media && { media: { ...item.media, url: null, preview: null } }),
+  mediaUrl: null,
+  mediaPreview: item.mediaPreview && { ...item.mediaPreview, placeholder: null, variants: [] },
+})
+
+/**
+ * Media URL and preview of a message, scheduled message or story as sent to
+ * clients. Messages deleted for everyone show no file, and one-time view files
+ * get no URLs at all: they are opened through GET /api/media/:mediaId/url,
+ * which refuses them once viewed.
+ */
+const formatAttachmentUrls = (item) => {
+  if (item.isDeleted) {
+    return { ...hideAttachmentUrls(item), mediaPreview: null }
+  }
+  if (item.oneTimeView && item.media) {
+    return hideAttachmentUrls(item)
+  }
+
+  const { url, preview } = formatMediaUrls(item.media, item.mediaUrl, item.mediaPreview)
+  return { mediaUrl: url, mediaPreview: preview }
+}
+
+module.exports = {
+  signMedia,
+  verifyMediaSignature,
+  formatMediaUrls,
+  formatAvatar,
+  hideAttachmentUrls,
+  formatAttachmentUrls,
+}
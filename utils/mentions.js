@@ -0,0 +1,93 @@
+/**
+ * Helpers for @mentions
+ *
+ * Users are mentioned with "@<name>" or "@<appId>". Mentions are resolved
+ * against the conversation participants and stored on the message as
+ * { user, offset, length }, locating each mention in the message text.
+ */
+
+const User = require("../models/User")
+const Group = require("../models/Group")
+
+// Characters that continue a word, so a mention can't start or end next to them
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u
+
+// Find the mentions of participants (other than the sender) in a message text
+const parseMentions = (text, participants, senderId) => {
+  const mentions = []
+  if (!text) return mentions
+
+  const lowerText = text.toLowerCase()
+
+  // Try longer handles first so "@Ann Lee" wins over "@Ann"
+  const handles = []
+  participants
+    .filter((user) => user._id.toString() !== senderId)
+    .forEach((user) => {
+      const userHandles = [user.appId, user.name].filter(Boolean)
+      userHandles.forEach((handle) => handles.push({ user: user._id, handle: handle.toLowerCase() }))
+    })
+  handles.sort((a, b) => b.handle.length - a.handle.length)
+
+  let index = lowerText.indexOf("@")
+  while (index !== -1) {
+    // "@" inside a word is an email address, not a mention
+    const startsWord = index === 0 || !WORD_CHARACTER.test(text[index - 1])
+    const match =
+      startsWord &&
+      handles.find(({ handle }) => {
+        const end = index + 1 + handle.length
+        return lowerText.startsWith(handle, index + 1) && (end >= text.length || !WORD_CHARACTER.test(text[end]))
+      })
+
+    if (match) {
+      mentions.push({ user: match.user, offset: index, length: match.handle.length + 1 })
+      index = lowerText.indexOf("@", index + 1 + match.handle.length)
+    } else {
+      index = lowerText.indexOf("@", index + 1)
+    }
+  }
+
+  return mentions
+}
+
+// Resolve the mentions in a message text against the participants of its conversation
+const resolveMentions = async ({ sender, receiver, group }, text) => {
+  if (!text || !text.includes("@")) return []
+
+  let participantIds = [sender, receiver]
+  if (group) {
+    const targetGroup = await Group.findById(group).select("members")
+    if (!targetGroup) return []
+    participantIds = targetGroup.members
+  }
+
+  const participants = await User.find({ _id: { $in: participantIds } }).select("name appId")
+  return parseMentions(text, participants, sender.toString())
+}
+
+/**
+ * Send each mentioned user a "mentioned" event with the message.
+ *
+ * The event is sent whether or not the user muted the conversation, clients
+ * should always notify for it. Users in alreadyNotified (e.g. mentioned before
+ * an edit) are skipped.
+ */
+const notifyMentions = (io, message, alreadyNotified = []) => {
+  if (!io || !message.mentions) return
+
+  const notified = new Set(alreadyNotified.map((id) => id.toString()))
+  message.mentions.forEach((mention) => {
+    const userId = (mention.user._id || mention.user).toString()
+    if (notified.has(userId)) return
+
+    notified.add(userId)
+    io.to(userId).emit("mentioned", { message })
+  })
+}
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  notifyMentions,
+}
@@ -0,0 +1,166 @@
+/**
+ * Cursor-based pagination helpers for chat history
+ *
+ * Cursors are message IDs. Messages are ordered by timestamp with _id as a
+ * tie-breaker so that messages sharing a timestamp are never skipped.
+ */
+
+const mongoose = require("mongoose")
+const Message = require("../models/Message")
+
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 100
+
+// Parse the requested page size, falling back to the default
+const parseLimit = (limit) => {
+  const parsed = Number.parseInt(limit)
+  if (Number.isNaN(parsed) || parsed < 1) {
+    return DEFAULT_PAGE_SIZE
+  }
+  return Math.min(parsed, MAX_PAGE_SIZE)
+}
+
+// Filter for messages older than the cursor message
+const olderThan = (cursorMessage) => ({
+  $or: [
+    { timestamp: { $lt: cursorMessage.timestamp } },
+    { timestamp: cursorMessage.timestamp, _id: { $lt: cursorMessage._id } },
+  ],
+})
+
+// Filter for messages newer than the cursor message
+const newerThan = (cursorMessage) => ({
+  $or: [
+    { timestamp: { $gt: cursorMessage.timestamp } },
+    { timestamp: cursorMessage.timestamp, _id: { $gt: cursorMessage._id } },
+  ],
+})
+
+// Fetch one page in the given direction, loading one extra row to detect more pages
+const fetchPage = async (filter, direction, limit, populate) => {
+  const order = direction === "older" ? -1 : 1
+  const rows = await populate(
+    Message.find(filter)
+      .sort({ timestamp: order, _id: order })
+      .limit(limit + 1),
+  )
+
+  const hasMore = rows.length > limit
+  const page = rows.slice(0, limit)
+
+  // Always return pages in chronological order
+  if (direction === "older") {
+    page.reverse()
+  }
+
+  return { page, hasMore }
+}
+
+// Find the cursor message, making sure it belongs to the conversation
+const findCursorMessage = (conversationFilter, messageId) => {
+  return Message.findOne({ $and: [conversationFilter, { _id: messageId }] })
+}
+
+/**
+ * Work out the paging mode from the query string (before, after, around, limit).
+ *
+ * Returns { mode, cursorMessage, limit }, or { error } when the cursor is
+ * invalid or does not belong to the conversation.
+ */
+const parsePageQuery = async (conversationFilter, query) => {
+  const cursors = ["before", "after", "around"].filter((key) => query[key])
+
+  if (cursors.length > 1) {
+    return { error: "Only one of before, after or around can be used" }
+  }
+
+  const limit = parseLimit(query.limit)
+
+  if (cursors.length === 0) {
+    return { mode: "latest", cursorMessage: null, limit }
+  }
+
+  const mode = cursors[0]
+  const messageId = query[mode]
+
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return { error: `Invalid ${mode} cursor` }
+  }
+
+  const cursorMessage = await findCursorMessage(conversationFilter, messageId)
+  if (!cursorMessage) {
+    return { error: "Cursor message not found in this conversation" }
+  }
+
+  return { mode, cursorMessage, limit }
+}
+
+/**
+ * Load a page of messages for a conversation.
+ *
+ * mode is one of "latest", "before", "after" or "around". For "around" the
+ * cursor message is included and roughly half the page is loaded on each side.
+ *
+ * Returns { messages, nextCursor, hasMore } where nextCursor continues in the
+ * paging direction (older for "latest"/"before"/"around", newer for "after").
+ * "around" also returns newerCursor and hasMoreNewer for scrolling down.
+ */
+const paginateMessages = async (conversationFilter, { mode, cursorMessage, limit, populate }) => {
+  if (mode === "after") {
+    const { page, hasMore } = await fetchPage(
+      { $and: [conversationFilter, newerThan(cursorMessage)] },
+      "newer",
+      limit,
+      populate,
+    )
+
+    return {
+      messages: page,
+      nextCursor: hasMore && page.length > 0 ? page[page.length - 1]._id : null,
+      hasMore,
+    }
+  }
+
+  if (mode === "around") {
+    const olderLimit = Math.floor((limit - 1) / 2)
+    const newerLimit = limit - 1 - olderLimit
+
+    const older = await fetchPage(
+      { $and: [conversationFilter, olderThan(cursorMessage)] },
+      "older",
+      olderLimit,
+      populate,
+    )
+    const newer = await fetchPage(
+      { $and: [conversationFilter, newerThan(cursorMessage)] },
+      "newer",
+      newerLimit,
+      populate,
+    )
+    const target = await populate(Message.findById(cursorMessage._id))
+    const messages = [...older.page, target, ...newer.page]
+
+    return {
+      messages,
+      nextCursor: older.hasMore ? messages[0]._id : null,
+      hasMore: older.hasMore,
+      newerCursor: newer.hasMore ? messages[messages.length - 1]._id : null,
+      hasMoreNewer: newer.hasMore,
+    }
+  }
+
+  const filter = mode === "before" ? { $and: [conversationFilter, olderThan(cursorMessage)] } : conversationFilter
+  const { page, hasMore } = await fetchPage(filter, "older", limit, populate)
+
+  return {
+    messages: page,
+    nextCursor: hasMore && page.length > 0 ? page[0]._id : null,
+    hasMore,
+  }
+}
+
+module.exports = {
+  parseLimit,
+  parsePageQuery,
+  paginateMessages,
+}
@@ -0,0 +1,115 @@
+/**
+ * Helpers for the sent -> delivered -> read receipt lifecycle
+ *
+ * Every transition notifies the senders with a single "messageStatusUpdate"
+ * event: { messageIds, status, updatedAt, userId }, where userId is the
+ * receiver (or group member) who received or read the messages.
+ */
+
+const Message = require("../models/Message")
+const { refreshUnreadCount, refreshGroupUnreadCount } = require("../services/conversationService")
+
+// Group message IDs by sender and emit one status update per sender
+const notifySenders = (io, messages, status, updatedAt, userId) => {
+  if (!io || messages.length === 0) return
+
+  const idsBySender = new Map()
+  messages.forEach((message) => {
+    const senderId = (message.sender._id || message.sender).toString()
+    if (!idsBySender.has(senderId)) {
+      idsBySender.set(senderId, [])
+    }
+    idsBySender.get(senderId).push(message._id)
+  })
+
+  idsBySender.forEach((messageIds, senderId) => {
+    io.to(senderId).emit("messageStatusUpdate", { messageIds, status, updatedAt, userId })
+  })
+}
+
+// Mark one-to-one messages matching the filter as delivered to the receiver
+const markDelivered = async (io, filter, receiverId) => {
+  const pending = await Message.find({ ...filter, receiver: receiverId, status: "sent" }).select("_id sender")
+  if (pending.length === 0) return []
+
+  const deliveredAt = new Date()
+  await Message.updateMany(
+    { _id: { $in: pending.map((message) => message._id) }, status: "sent" },
+    { status: "delivered", deliveredAt },
+  )
+
+  notifySenders(io, pending, "delivered", deliveredAt, receiverId)
+  return pending.map((message) => message._id)
+}
+
+// Mark one-to-one messages matching the filter as read by the receiver
+const markRead = async (io, filter, readerId) => {
+  const unread = await Message.find({ ...filter, receiver: readerId, status: { $ne: "read" } }).select("_id sender")
+  if (unread.length === 0) return []
+
+  const readAt = new Date()
+  await Message.updateMany({ _id: { $in: unread.map((message) => message._id) } }, [
+    {
+      $set: {
+        status: "read",
+        isRead: true,
+        readAt,
+        // Reading implies delivery, keep the original delivery time if there was one
+        deliveredAt: { $ifNull: ["$deliveredAt", readAt] },
+      },
+    },
+  ])
+
+  // Keep the chat list unread counters in sync
+  const senderIds = [...new Set(unread.map((message) => message.sender.toString()))]
+  for (const senderId of senderIds) {
+    await refreshUnreadCount(readerId, senderId)
+  }
+
+  notifySenders(io, unread, "read", readAt, readerId)
+  return unread.map((message) => message._id)
+}
+
+// Record that a group member read a group message
+const markGroupMessageRead = async (io, message, readerId) => {
+  if (message.sender.toString() === readerId) return false
+  if (message.readBy.some((entry) => entry.user.toString() === readerId)) return false
+
+  const readAt = new Date()
+  message.readBy.push({ user: readerId, readAt })
+  await message.save()
+  await refreshGroupUnreadCount(readerId, message.group)
+
+  notifySenders(io, [message], "read", readAt, readerId)
+  return true
+}
+
+// Mark group messages matching the filter as read by a member
+const markGroupRead = async (io, filter, readerId) => {
+  const unread = await Message.find({ ...filter, sender: { $ne: readerId }, "readBy.user": { $ne: readerId } }).select(
+    "_id sender group",
+  )
+  if (unread.length === 0) return []
+
+  const readAt = new Date()
+  await Message.updateMany(
+    { _id: { $in: unread.map((message) => message._id) }, "readBy.user": { $ne: readerId } },
+    { $push: { readBy: { user: readerId, readAt } } },
+  )
+
+  // Keep the chat list unread counters in sync
+  const groupIds = [...new Set(unread.map((message) => message.group.toString()))]
+  for (const groupId of groupIds) {
+    await refreshGroupUnreadCount(readerId, groupId)
+  }
+
+  notifySenders(io, unread, "read", readAt, readerId)
+  return unread.map((message) => message._id)
+}
+
+module.exports = {
+  markDelivered,
+  markRead,
+  markGroupMessageRead,
+  markGroupRead,
+}
@@ -0,0 +1,72 @@
+/**
+ * Helpers for poll messages
+ */
+
+const MIN_POLL_OPTIONS = 2
+const MAX_POLL_OPTIONS = 12
+
+// Validate poll input from a client and build the poll to store
+// Returns { poll } or { error }
+const buildPoll = (input) => {
+  if (!input || typeof input !== "object") {
+    return { error: "Poll details are required" }
+  }
+
+  const question = typeof input.question === "string" ? input.question.trim() : ""
+  if (!question) {
+    return { error: "Poll question is required" }
+  }
+
+  const options = Array.isArray(input.options)
+    ? input.options.map((option) => (typeof option === "string" ? option.trim() : "")).filter(Boolean)
+    : []
+
+  if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+    return { error: `A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options` }
+  }
+
+  if (new Set(options.map((option) => option.toLowerCase())).size !== options.length) {
+    return { error: "Poll options must be unique" }
+  }
+
+  let closesAt = null
+  if (input.closesAt) {
+    closesAt = new Date(input.closesAt)
+    if (Number.isNaN(closesAt.getTime()) || closesAt <= new Date()) {
+      return { error: "Poll close time must be a valid date in the future" }
+    }
+  }
+
+  return {
+    poll: {
+      question,
+      options: options.map((text) => ({ text, voters: [] })),
+      allowMultiple: Boolean(input.allowMultiple),
+      closesAt,
+    },
+  }
+}
+
+// Check if a poll no longer accepts votes
+const isPollClosed = (poll) => Boolean(poll.closesAt && poll.closesAt <= new Date())
+
+// Build the vote tallies sent to clients
+const summarizePoll = (poll) => ({
+  question: poll.question,
+  allowMultiple: poll.allowMultiple,
+  closesAt: poll.closesAt,
+  isClosed: isPollClosed(poll),
+  totalVoters: new Set(poll.options.flatMap((option) => option.voters.map((voter) => voter.toString()))).size,
+  options: poll.options.map((option) => ({
+    _id: option._id,
+    text: option.text,
+    votes: option.voters.length,
+    voters: option.voters,
+  })),
+})
+
+module.exports = {
+  buildPoll,
+  isPollClosed,
+  summarizePoll,
+}
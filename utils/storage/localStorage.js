@@ -0,0 +1,52 @@
+/**
+ * Storage driver keeping files in the uploads/ directory
+ */
+
+const fs = require("fs/promises")
+const { createReadStream } = require("fs")
+const path = require("path")
+
+const UPLOADS_DIR = path.join(__dirname, "..", "..", "uploads")
+const URL_PREFIX = "/uploads/"
+
+// Keys are plain file names, never paths into other directories
+const filePath = (key) => path.join(UPLOADS_DIR, path.basename(key))
+
+const createLocalStorage = () => ({
+  name: "local",
+
+  // The body is a buffer or a readable stream
+  save: async (key, body) => {
+    await fs.mkdir(UPLOADS_DIR, { recursive: true })
+    await fs.writeFile(filePath(key), body)
+  },
+
+  // Ignores files that are already gone
+  remove: async (key) => {
+    try {
+      await fs.unlink(filePath(key))
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+  },
+
+  // Stream a file, or the bytes start-end (inclusive) of it, null when it doesn't exist
+  read: async (key, range) => {
+    try {
+      await fs.access(filePath(key))
+    } catch (error) {
+      if (error.code === "ENOENT") return null
+      throw error
+    }
+    return createReadStream(filePath(key), range || {})
+  },
+
+  urlFor: (key) => `${URL_PREFIX}${key}`,
+
+  keyFromUrl: (url) => (url.startsWith(URL_PREFIX) ? path.basename(url) : null),
+})
+
+module.exports = {
+  UPLOADS_DIR,
+  createLocalStorage,
+}
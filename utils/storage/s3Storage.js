@@ -0,0 +1,89 @@
+/**
+ * Storage driver for S3 and S3-compatible services (MinIO, R2, Spaces...)
+ *
+ * Configured with S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.
+ * For other services set S3_ENDPOINT (e.g. http://localhost:9000 for MinIO) and
+ * S3_FORCE_PATH_STYLE=true when the service doesn't support bucket subdomains.
+ * Files are recorded as S3_PUBLIC_URL/<key>, by default the bucket URL on the
+ * endpoint. The bucket can stay private, clients get files through signed media URLs.
+ */
+
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3")
+
+// Public URL of the bucket when S3_PUBLIC_URL isn't set
+const getBucketUrl = (bucket, region, endpoint, forcePathStyle) => {
+  if (!endpoint) return `https://${bucket}.s3.${region}.amazonaws.com`
+  if (forcePathStyle) return `${endpoint.replace(/\/+$/, "")}/${bucket}`
+  return endpoint.replace("://", `://${bucket}.`)
+}
+
+const createS3Storage = () => {
+  const bucket = process.env.S3_BUCKET
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver")
+  }
+
+  const region = process.env.S3_REGION || "us-east-1"
+  const endpoint = process.env.S3_ENDPOINT || null
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true"
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Without explicit keys the SDK falls back to its usual credential chain (instance roles etc.)
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined,
+  })
+
+  const bucketUrl = process.env.S3_PUBLIC_URL || getBucketUrl(bucket, region, endpoint, forcePathStyle)
+  const publicUrl = bucketUrl.replace(/\/+$/, "")
+
+  return {
+    name: "s3",
+
+    // The body is a buffer or a readable stream, streams need their size
+    save: async (key, body, contentType, size) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentLength: size,
+          ContentType: contentType || "application/octet-stream",
+        }),
+      )
+    },
+
+    // Deleting a missing object succeeds on S3
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+    },
+
+    // Stream a file, or the bytes start-end (inclusive) of it, null when it doesn't exist
+    read: async (key, range) => {
+      try {
+        const { Body } = await client.send(
+          new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+          }),
+        )
+        return Body
+      } catch (error) {
+        if (error.name === "NoSuchKey") return null
+        throw error
+      }
+    },
+
+    urlFor: (key) => `${publicUrl}/${key}`,
+
+    keyFromUrl: (url) => (url.startsWith(`${publicUrl}/`) ? url.slice(publicUrl.length + 1) : null),
+  }
+}
+
+module.exports = {
+  createS3Storage,
+}
@@ -0,0 +1,71 @@
+/**
+ * Utility to build highlighted snippets for search results
+ */
+
+const DEFAULT_SNIPPET_RADIUS = 40
+
+// Split a search query into plain terms, dropping quotes and negated terms
+const extractSearchTerms = (query) => {
+  return query
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .map((term) => term.replace(/"/g, "").toLowerCase())
+    .filter(Boolean)
+}
+
+// Find every case-insensitive occurrence of the terms in the text
+const findMatches = (text, terms) => {
+  const lowerText = text.toLowerCase()
+  const matches = []
+
+  terms.forEach((term) => {
+    let index = lowerText.indexOf(term)
+    while (index !== -1) {
+      matches.push({ start: index, end: index + term.length })
+      index = lowerText.indexOf(term, index + term.length)
+    }
+  })
+
+  // Sort and merge overlapping ranges
+  matches.sort((a, b) => a.start - b.start)
+  return matches.reduce((merged, match) => {
+    const last = merged[merged.length - 1]
+    if (last && match.start <= last.end) {
+      last.end = Math.max(last.end, match.end)
+    } else {
+      merged.push({ ...match })
+    }
+    return merged
+  }, [])
+}
+
+// Build a snippet around the first match, with highlight ranges relative to the snippet
+const buildSnippet = (text, terms, radius = DEFAULT_SNIPPET_RADIUS) => {
+  if (!text) {
+    return { snippet: "", highlights: [] }
+  }
+
+  const matches = findMatches(text, terms)
+  const firstMatch = matches[0]
+
+  const start = firstMatch ? Math.max(0, firstMatch.start - radius) : 0
+  const end = firstMatch ? Math.min(text.length, firstMatch.end + radius) : Math.min(text.length, radius * 2)
+
+  const prefix = start > 0 ? "…" : ""
+  const suffix = end < text.length ? "…" : ""
+  const snippet = `${prefix}${text.slice(start, end)}${suffix}`
+
+  const highlights = matches
+    .filter((match) => match.start >= start && match.end <= end)
+    .map((match) => ({
+      start: match.start - start + prefix.length,
+      end: match.end - start + prefix.length,
+    }))
+
+  return { snippet, highlights }
+}
+
+module.exports = {
+  extractSearchTerms,
+  buildSnippet,
+}